@@ -2,6 +2,12 @@ import express from 'express';
 import rateLimit from 'express-rate-limit';
 import OpenAIService from '../services/openaiService.js';
 import Veo3Service from '../services/veo3Service.js';
+import JobService, { jobLinks } from '../services/jobService.js';
+import TemplateService from '../services/templateService.js';
+import VideoJobService from '../services/videoJobService.js';
+import { createRun, withRun, segmentStep } from '../../utils/runStore.js';
+import { splitOptionsFromRequest, scriptFromRequest } from '../../utils/scriptSplitter.js';
+import { llmSettingsError } from '../../utils/llmSettings.js';
 import archiver from 'archiver';
 
 const router = express.Router();
@@ -23,7 +29,6 @@ router.post('/generate', async (req, res) => {
   
   try {
     const { 
-      script, 
       ageRange, 
       gender, 
       product, 
@@ -45,16 +50,37 @@ router.post('/generate', async (req, res) => {
       ethnicity,
       characterFeatures,
       clothingDetails,
-      accentRegion
+      accentRegion,
+      // Segments rendered at once; above 1 enables the parallel handoff mode
+      concurrency,
+      // 'overwrite' (default) restores drifted base descriptions, 'flag' only reports them
+      driftPolicy,
+      // 'correct' (default) restores the script's wording, 'flag' only reports a diff
+      dialoguePolicy,
+      // Per-step model and sampling overrides, e.g. { "segment": { "temperature": 0.4 } }
+      llmSettings,
+      // Instruction template from /api/templates; its format replaces jsonFormat
+      templateId
     } = req.body;
+    const script = scriptFromRequest(req.body);
     
     // Validation
-    if (!script || script.trim().length < 50) {
+    if (!script || script.length < 50) {
       console.log('[Generate] Validation failed: Script too short');
       return res.status(400).json({ 
         error: 'Script must be at least 50 characters long' 
       });
     }
+
+    const llmSettingsProblem = llmSettingsError(llmSettings);
+    if (llmSettingsProblem) {
+      return res.status(400).json({ error: llmSettingsProblem });
+    }
+
+    const templateChoice = await TemplateService.resolveForRequest(templateId);
+    if (templateChoice.error) {
+      return res.status(400).json({ error: templateChoice.error });
+    }
     
     console.log('[Generate] Starting OpenAI generation with:', {
       ageRange,
@@ -65,12 +91,12 @@ router.post('/generate', async (req, res) => {
       jsonFormat,
       continuationMode,
       settingMode,
-      scriptWords: script.trim().split(/\s+/).length
+      scriptWords: script.split(/\s+/).length
     });
     
     // Prepare parameters
     const params = {
-      script: script.trim(),
+      script,
       ageRange,
       gender,
       product,
@@ -90,26 +116,44 @@ router.post('/generate', async (req, res) => {
       ethnicity,
       characterFeatures,
       clothingDetails,
-      accentRegion
+      accentRegion,
+      concurrency,
+      driftPolicy,
+      dialoguePolicy,
+      llmSettings,
+      splitOptions: splitOptionsFromRequest(req.body),
+      ...templateChoice.params
     };
     
     // Generate segments using OpenAI
-    const result = continuationMode 
-      ? await OpenAIService.generateSegmentsWithVoiceProfile(params)
-      : await OpenAIService.generateSegments(params);
-    
-    console.log('[Generate] Success:', {
-      segments: result.segments.length,
-      characterId: result.metadata.characterId,
-      hasVoiceProfile: !!result.voiceProfile
-    });
+    const generate = async (onProgress) => {
+      // Every completed step is persisted so a failed run can be resumed
+      const run = await createRun('standard', continuationMode ? 'generate-continuation' : 'generate', { inputs: params });
+      const result = await withRun(run, () => continuationMode 
+        ? OpenAIService.generateSegmentsWithVoiceProfile(params, { onProgress, run })
+        : OpenAIService.generateSegments(params, { onProgress, run }));
+      
+      console.log('[Generate] Success:', {
+        segments: result.segments.length,
+        characterId: result.metadata.characterId,
+        hasVoiceProfile: !!result.voiceProfile
+      });
+      
+      return {
+        success: true,
+        segments: result.segments,
+        metadata: result.metadata,
+        voiceProfile: result.voiceProfile
+      };
+    };
     
-    res.json({
-      success: true,
-      segments: result.segments,
-      metadata: result.metadata,
-      voiceProfile: result.voiceProfile
-    });
+    // async: true runs the generation as a background job (see /api/jobs/:id)
+    if (req.body.async) {
+      const job = JobService.createJob('generate', generate);
+      return res.status(202).json({ success: true, jobId: job.id, ...jobLinks(job.id) });
+    }
+    
+    res.json(await generate());
     
   } catch (error) {
     console.error('[Generate] Error:', {
@@ -120,15 +164,21 @@ router.post('/generate', async (req, res) => {
     res.status(500).json({ 
       error: 'Failed to generate segments',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
-      details: process.env.NODE_ENV === 'development' ? error.response?.data : undefined
+      details: process.env.NODE_ENV === 'development' ? error.response?.data : undefined,
+      // Segments finished before the failure, with the run id to resume from
+      ...error.partial
     });
   }
 });
 
-// Download segments as ZIP
+// Download segments as ZIP; with includeVideos and the runId of the generation,
+// the clips its video jobs recorded as saved are added
 router.post('/download', async (req, res) => {
   try {
-    const { segments } = req.body;
+    const { segments, runId, includeVideos } = req.body;
+    const clips = includeVideos && runId
+      ? (await VideoJobService.runClips(String(runId))).filter(clip => clip.segmentNumber <= segments.length)
+      : [];
     
     res.setHeader('Content-Type', 'application/zip');
     res.setHeader('Content-Disposition', 'attachment; filename=veo3-segments.zip');
@@ -143,6 +193,11 @@ router.post('/download', async (req, res) => {
       });
     });
     
+    // Each clip next to the JSON it was generated from
+    clips.forEach(clip => {
+      archive.file(clip.path, { name: `${segmentStep(clip.segmentNumber)}.mp4` });
+    });
+    
     // Add instructions file
     archive.append('Instructions for Veo 3:\n1. Upload each JSON in order\n2. Generate 8-second clips\n3. Edit together with overlaps', {
       name: 'README.txt'
@@ -1,6 +1,11 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import OpenAIService from '../services/openaiService.js';
+import JobService, { jobLinks } from '../services/jobService.js';
+import TemplateService from '../services/templateService.js';
+import { createRun, withRun } from '../../utils/runStore.js';
+import { splitOptionsFromRequest, scriptFromRequest } from '../../utils/scriptSplitter.js';
+import { llmSettingsError } from '../../utils/llmSettings.js';
 
 const router = express.Router();
 
@@ -20,7 +25,6 @@ router.post('/generate-new-cont', async (req, res) => {
 
   try {
     const {
-      script,
       ageRange,
       gender,
       product,
@@ -41,19 +45,34 @@ router.post('/generate-new-cont', async (req, res) => {
       characterFeatures,
       clothingDetails,
       accentRegion,
+      driftPolicy,
+      dialoguePolicy,
+      llmSettings,
+      templateId,
       // Animal avatar params
       useAnimalAvatar = false,
       animalPreset, // 'tiger' | 'monkey' | 'fish'
       animalVoiceStyle, // e.g., 'narrator', 'playful', 'deep-resonant'
       anthropomorphic = false
     } = req.body;
+    const script = scriptFromRequest(req.body);
 
-    if (!script || script.trim().length < 50) {
+    if (!script || script.length < 50) {
       return res.status(400).json({ error: 'Script must be at least 50 characters long' });
     }
 
+    const llmSettingsProblem = llmSettingsError(llmSettings);
+    if (llmSettingsProblem) {
+      return res.status(400).json({ error: llmSettingsProblem });
+    }
+
+    const templateChoice = await TemplateService.resolveForRequest(templateId);
+    if (templateChoice.error) {
+      return res.status(400).json({ error: templateChoice.error });
+    }
+
     const params = {
-      script: script.trim(),
+      script,
       ageRange,
       gender,
       product,
@@ -74,6 +93,11 @@ router.post('/generate-new-cont', async (req, res) => {
       characterFeatures,
       clothingDetails,
       accentRegion,
+      driftPolicy,
+      dialoguePolicy,
+      llmSettings,
+      splitOptions: splitOptionsFromRequest(req.body),
+      ...templateChoice.params,
     };
 
     if (useAnimalAvatar) {
@@ -89,17 +113,26 @@ router.post('/generate-new-cont', async (req, res) => {
     }
 
     // Use continuation style generation path
-    const result = await OpenAIService.generateSegmentsWithVoiceProfile(params);
+    const generate = async (onProgress) => {
+      const run = await createRun('new-cont', 'generate-new-cont', { inputs: params });
+      const result = await withRun(run, () => OpenAIService.generateSegmentsWithVoiceProfile(params, { onProgress, run }));
+      return {
+        success: true,
+        segments: result.segments,
+        metadata: result.metadata,
+        voiceProfile: result.voiceProfile,
+      };
+    };
+
+    if (req.body.async) {
+      const job = JobService.createJob('generate-new-cont', generate);
+      return res.status(202).json({ success: true, jobId: job.id, ...jobLinks(job.id) });
+    }
 
-    res.json({
-      success: true,
-      segments: result.segments,
-      metadata: result.metadata,
-      voiceProfile: result.voiceProfile,
-    });
+    res.json(await generate());
   } catch (error) {
     console.error('[NewCont] Error:', error);
-    res.status(500).json({ error: 'Failed to generate new continuation segments', message: error.message });
+    res.status(500).json({ error: 'Failed to generate new continuation segments', message: error.message, ...error.partial });
   }
 });
 
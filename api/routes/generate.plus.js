@@ -2,14 +2,12 @@ import express from 'express';
 import rateLimit from 'express-rate-limit';
 import OpenAIServicePlus from '../services/openaiService.plus.js';
 import Veo3Service from '../services/veo3Service.js';
+import JobService, { jobLinks } from '../services/jobService.js';
+import TemplateService from '../services/templateService.js';
+import { splitOptionsFromRequest, scriptFromRequest } from '../../utils/scriptSplitter.js';
+import { llmSettingsError } from '../../utils/llmSettings.js';
+import { createRun, openRun, withRun } from '../../utils/runStore.js';
 import archiver from 'archiver';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const runsRoot = path.join(__dirname, '../../runs/plus');
 
 const router = express.Router();
 
@@ -20,8 +18,112 @@ const limiter = rateLimit({
 
 router.use(limiter);
 
-async function ensureDir(dirPath) {
-  await fs.mkdir(dirPath, { recursive: true }).catch(() => {});
+// Plan segment fields renderPlan reads; the first two must not be blank
+const PLAN_REQUIRED_FIELDS = ['dialogue', 'location'];
+const PLAN_TEXT_FIELDS = ['plannedLocation', 'camera', 'energy', 'timeOfDay', 'emotion', 'productInteraction', 'transition'];
+
+// Usage of the /api/plan call that produced `planId`, read from its run;
+// undefined for an unknown id, so a render never reports usage it cannot vouch for
+async function recordedPlanUsage(planId) {
+  const run = planId ? await openRun(String(planId)) : null;
+  if ((await run?.load('run'))?.method !== 'plan') return undefined;
+  return (await run.load('outputs'))?.metadata?.llmUsage;
+}
+
+// Problem with one submitted plan segment, or null
+function planSegmentError(entry, index) {
+  const label = `Plan segment ${index + 1}`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return `${label} must be an object`;
+  }
+  for (const field of PLAN_REQUIRED_FIELDS) {
+    if (typeof entry[field] !== 'string' || !entry[field].trim()) {
+      return `${label} needs ${field} as a non-empty string`;
+    }
+  }
+  const wrongType = PLAN_TEXT_FIELDS.find(field =>
+    entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string');
+  if (wrongType) return `${label}: ${wrongType} must be a string`;
+  if (entry.directives !== undefined && (typeof entry.directives !== 'object' || Array.isArray(entry.directives))) {
+    return `${label}: directives must be an object`;
+  }
+  return null;
+}
+
+// `templateParams` come from TemplateService.resolveForRequest(body.templateId)
+function paramsFromRequest(body, script, templateParams = {}) {
+  const {
+    ageRange,
+    gender,
+    product,
+    room,
+    style,
+    jsonFormat = 'standard',
+    voiceType,
+    energyLevel,
+    settingMode = 'single',
+    locations = [],
+    cameraStyle,
+    timeOfDay,
+    backgroundLife,
+    productStyle,
+    energyArc,
+    narrativeStyle,
+    ethnicity,
+    characterFeatures,
+    clothingDetails,
+    accentRegion,
+    concurrency,
+    driftPolicy,
+    dialoguePolicy,
+    // Per-step model and sampling overrides, e.g. { "segment": { "temperature": 0.4 } }
+    llmSettings
+  } = body;
+
+  return {
+    script,
+    ageRange,
+    gender,
+    product,
+    room,
+    style,
+    jsonFormat,
+    voiceType,
+    energyLevel,
+    settingMode,
+    locations,
+    cameraStyle,
+    timeOfDay,
+    backgroundLife,
+    productStyle,
+    energyArc,
+    narrativeStyle,
+    ethnicity,
+    characterFeatures,
+    clothingDetails,
+    accentRegion,
+    concurrency,
+    driftPolicy,
+    dialoguePolicy,
+    llmSettings,
+    splitOptions: splitOptionsFromRequest(body),
+    ...templateParams
+  };
+}
+
+function sendError(res, error, prefix, message) {
+  console.error(`${prefix} Error:`, {
+    message: error.message,
+    stack: error.stack,
+    response: error.response?.data
+  });
+  res.status(500).json({
+    error: message,
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    details: process.env.NODE_ENV === 'development' ? error.response?.data : undefined,
+    // Segments finished before the failure, with the run id to resume from
+    ...error.partial
+  });
 }
 
 router.post('/generate-plus', async (req, res) => {
@@ -31,96 +133,157 @@ router.post('/generate-plus', async (req, res) => {
   });
   
   try {
-    const {
-      script,
-      ageRange,
-      gender,
-      product,
-      room,
-      style,
-      jsonFormat = 'standard',
-      voiceType,
-      energyLevel,
-      settingMode = 'single',
-      locations = [],
-      cameraStyle,
-      timeOfDay,
-      backgroundLife,
-      productStyle,
-      energyArc,
-      narrativeStyle,
-      ethnicity,
-      characterFeatures,
-      clothingDetails,
-      accentRegion
-    } = req.body;
-
-    if (!script || script.trim().length < 50) {
+    const script = scriptFromRequest(req.body);
+
+    if (!script || script.length < 50) {
       console.log('[Generate Plus] Validation failed: Script too short');
       return res.status(400).json({
         error: 'Script must be at least 50 characters long'
       });
     }
 
-    const params = {
-      script: script.trim(),
-      ageRange,
-      gender,
-      product,
-      room,
-      style,
-      jsonFormat,
-      voiceType,
-      energyLevel,
-      settingMode,
-      locations,
-      cameraStyle,
-      timeOfDay,
-      backgroundLife,
-      productStyle,
-      energyArc,
-      narrativeStyle,
-      ethnicity,
-      characterFeatures,
-      clothingDetails,
-      accentRegion
+    const llmSettingsProblem = llmSettingsError(req.body.llmSettings);
+    if (llmSettingsProblem) {
+      return res.status(400).json({ error: llmSettingsProblem });
+    }
+
+    const templateChoice = await TemplateService.resolveForRequest(req.body.templateId);
+    if (templateChoice.error) {
+      return res.status(400).json({ error: templateChoice.error });
+    }
+
+    const params = paramsFromRequest(req.body, script, templateChoice.params);
+    const generate = async (onProgress) => {
+      const run = await createRun('plus', 'generate-plus', { inputs: params });
+      const result = await withRun(run, () => OpenAIServicePlus.generateSegments(params, { onProgress, run }));
+
+      console.log('[Generate Plus] Success:', {
+        segments: result.segments.length,
+        characterId: result.metadata.characterId
+      });
+
+      return {
+        success: true,
+        segments: result.segments,
+        metadata: result.metadata
+      };
     };
 
-    const result = await OpenAIServicePlus.generateSegments(params);
+    // async: true runs the generation as a background job (see /api/jobs/:id)
+    if (req.body.async) {
+      const job = JobService.createJob('generate-plus', generate);
+      return res.status(202).json({ success: true, jobId: job.id, ...jobLinks(job.id) });
+    }
 
-    // Persist inputs/outputs to per-run folder
-    try {
-      const runId = `${Date.now()}`;
-      const runDir = path.join(runsRoot, runId);
-      await ensureDir(runDir);
-      await fs.writeFile(path.join(runDir, 'inputs.json'), JSON.stringify(params, null, 2));
-      await fs.writeFile(path.join(runDir, 'outputs.json'), JSON.stringify(result, null, 2));
-      result.metadata = { ...(result.metadata || {}), runId, runPath: `runs/plus/${runId}` };
-    } catch (persistErr) {
-      console.error('[Generate Plus] Failed to persist run files:', persistErr);
+    res.json(await generate());
+  } catch (error) {
+    sendError(res, error, '[Generate Plus]', 'Failed to generate segments (plus)');
+  }
+});
+
+// Phase one of two-phase generation: return the editable production plan
+router.post('/plan', async (req, res) => {
+  console.log('[Plan] Request received:', {
+    scriptLength: req.body.script?.length || 0
+  });
+
+  try {
+    const script = scriptFromRequest(req.body);
+
+    if (!script || script.length < 50) {
+      return res.status(400).json({
+        error: 'Script must be at least 50 characters long'
+      });
     }
 
-    console.log('[Generate Plus] Success:', {
-      segments: result.segments.length,
-      characterId: result.metadata.characterId
-    });
+    const llmSettingsProblem = llmSettingsError(req.body.llmSettings);
+    if (llmSettingsProblem) {
+      return res.status(400).json({ error: llmSettingsProblem });
+    }
+
+    const templateChoice = await TemplateService.resolveForRequest(req.body.templateId);
+    if (templateChoice.error) {
+      return res.status(400).json({ error: templateChoice.error });
+    }
+
+    // The plan is recorded as a run so /render-plan can read its usage from
+    // the server instead of trusting the copy the client sends back
+    const params = paramsFromRequest(req.body, script, templateChoice.params);
+    const run = await createRun('plus', 'plan', { inputs: params });
+    let plan;
+    try {
+      plan = await OpenAIServicePlus.planSegments(params);
+    } catch (error) {
+      await run.updateStatus({ status: 'failed', error: error.message });
+      throw error;
+    }
+    await run.complete({ plan, metadata: { llmUsage: plan.llmUsage } });
+    console.log('[Plan] Success:', { segments: plan.segments.length, planId: run.runId });
 
     res.json({
       success: true,
-      segments: result.segments,
-      metadata: result.metadata
+      plan: { ...plan, planId: run.runId }
     });
   } catch (error) {
-    console.error('[Generate Plus] Error:', {
-      message: error.message,
-      stack: error.stack,
-      response: error.response?.data
-    });
-    res.status(500).json({
-      error: 'Failed to generate segments (plus)',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
-      details: process.env.NODE_ENV === 'development' ? error.response?.data : undefined
-    });
+    sendError(res, error, '[Plan]', 'Failed to plan segments');
+  }
+});
+
+// Phase two: render the (possibly edited) plan exactly as submitted
+router.post('/render-plan', async (req, res) => {
+  const { plan: submitted } = req.body;
+  console.log('[Render Plan] Request received:', {
+    segments: submitted?.segments?.length || 0
+  });
+
+  try {
+    if (!Array.isArray(submitted?.segments) || submitted.segments.length === 0) {
+      return res.status(400).json({
+        error: 'A plan with at least one segment is required'
+      });
+    }
+
+    const planProblem = submitted.segments.map(planSegmentError).find(Boolean);
+    if (planProblem) {
+      return res.status(400).json({ error: planProblem });
+    }
+    const plan = { ...submitted, llmUsage: await recordedPlanUsage(submitted.planId) };
+
+    const llmSettingsProblem = llmSettingsError(req.body.llmSettings);
+    if (llmSettingsProblem) {
+      return res.status(400).json({ error: llmSettingsProblem });
+    }
+
+    const templateChoice = await TemplateService.resolveForRequest(req.body.templateId);
+    if (templateChoice.error) {
+      return res.status(400).json({ error: templateChoice.error });
+    }
+
+    const params = paramsFromRequest(req.body, plan.segments.map(entry => entry.dialogue).join(' '), templateChoice.params);
+    const render = async (onProgress) => {
+      const run = await createRun('plus', 'render-plan', { inputs: params, plan: { plan } });
+      const result = await withRun(run, () => OpenAIServicePlus.renderPlan(params, plan, { onProgress, run }));
+
+      console.log('[Render Plan] Success:', {
+        segments: result.segments.length,
+        characterId: result.metadata.characterId
+      });
+
+      return {
+        success: true,
+        segments: result.segments,
+        metadata: result.metadata
+      };
+    };
+
+    if (req.body.async) {
+      const job = JobService.createJob('render-plan', render);
+      return res.status(202).json({ success: true, jobId: job.id, ...jobLinks(job.id) });
+    }
+
+    res.json(await render());
+  } catch (error) {
+    sendError(res, error, '[Render Plan]', 'Failed to render plan');
   }
 });
 
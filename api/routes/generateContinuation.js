@@ -1,5 +1,9 @@
 import express from 'express';
 import openaiService from '../services/openaiService.js';
+import TemplateService from '../services/templateService.js';
+import { createValidationLog } from '../../utils/segmentSchemas.js';
+import { enforceDialogue } from '../../utils/dialogueFidelity.js';
+import { createStepSettings, llmSettingsError } from '../../utils/llmSettings.js';
 
 const router = express.Router();
 
@@ -7,7 +11,9 @@ router.post('/generate-continuation', async (req, res) => {
   console.log('[API] /generate-continuation called');
   
   try {
-    const { imageUrl, script, voiceProfile, previousSegment, maintainEnergy, product } = req.body;
+    const { imageUrl, script, voiceProfile, previousSegment, maintainEnergy, product, dialoguePolicy, llmSettings, templateId } = req.body;
+    // Optional character and delivery details, as on /generate
+    const { ethnicity, characterFeatures, clothingDetails, accentRegion, voiceType, energyLevel, narrativeStyle } = req.body;
     
     // Validate required fields
     if (!imageUrl || !script || !voiceProfile || !product) {
@@ -15,6 +21,16 @@ router.post('/generate-continuation', async (req, res) => {
         error: 'Missing required fields: imageUrl, script, voiceProfile, and product are required' 
       });
     }
+
+    const llmSettingsProblem = llmSettingsError(llmSettings);
+    if (llmSettingsProblem) {
+      return res.status(400).json({ error: llmSettingsProblem });
+    }
+
+    const templateChoice = await TemplateService.resolveForRequest(templateId, ['continuation-minimal']);
+    if (templateChoice.error) {
+      return res.status(400).json({ error: templateChoice.error });
+    }
     
     console.log('[API] Generating continuation for:', {
       imageUrl,
@@ -25,20 +41,44 @@ router.post('/generate-continuation', async (req, res) => {
     });
     
     // Generate continuation segment
+    const template = await TemplateService.load(templateChoice.params.templateId || 'veo3-continuation-minimal');
+    const validationLog = createValidationLog('continuation-minimal', templateChoice.params.requiredFields);
+    const stepSettings = createStepSettings(llmSettings);
     const segment = await openaiService.generateContinuationSegment({
       imageUrl,
       script,
       voiceProfile,
       previousSegment,
       maintainEnergy,
-      product
+      product,
+      ethnicity,
+      characterFeatures,
+      clothingDetails,
+      accentRegion,
+      voiceType,
+      energyLevel,
+      narrativeStyle,
+      validationLog,
+      stepSettings,
+      templateId: template.id,
+      requiredFields: templateChoice.params.requiredFields
     });
     
     console.log('[API] Continuation segment generated successfully');
+    const dialogue = enforceDialogue([segment], [script], { policy: dialoguePolicy });
     
     res.json({ 
       success: true,
-      segment
+      segment,
+      metadata: {
+        validation: validationLog.report([segment]),
+        dialogue,
+        templates: [template, await TemplateService.prompt('continuation-segment')]
+          .map(entry => TemplateService.describe(entry)),
+        prompts: stepSettings.prompts.report(),
+        llmSettings: stepSettings.report(),
+        llmUsage: stepSettings.usage.report()
+      }
     });
     
   } catch (error) {
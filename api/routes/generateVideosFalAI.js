@@ -1,5 +1,7 @@
 import express from 'express';
 import falaiService from '../services/falaiService.js';
+import VideoJobs from '../services/videoJobService.js';
+import { videoErrorStatus } from '../services/videoProvider.js';
 import logger from '../../utils/logger.js';
 
 const router = express.Router();
@@ -9,7 +11,7 @@ router.post('/generate-videos-falai', async (req, res) => {
   const timer = logger.startTimer('FalAI Video Generation Request');
   
   try {
-    const { segments, options = {} } = req.body;
+    const { segments, options = {}, runId } = req.body;
     
     if (!segments || !Array.isArray(segments) || segments.length === 0) {
       return res.status(400).json({
@@ -32,23 +34,25 @@ router.post('/generate-videos-falai', async (req, res) => {
       });
     }
 
-    const result = await falaiService.generateVideosForAllSegments(segments, {
+    const { job, result } = await VideoJobs.generate(falaiService, segments, {
       aspectRatio: options.aspectRatio || '16:9',
       duration: options.duration || '8s',
       resolution: options.resolution || '720p',
       generateAudio: options.generateAudio !== false,
       useFast: true, // Always use fast endpoint for optimal performance
       ...options
-    });
+    }, { runId });
 
-    timer.end(`FalAI generation completed - ${result.successCount}/${result.totalSegments} successful`);
+    timer.end(`FalAI generation queued - ${result.pendingCount}/${result.totalSegments} segments`);
 
     res.json({
       success: result.success,
+      jobId: job.id,
       videos: result.videos,
       metadata: {
         totalSegments: result.totalSegments,
         successCount: result.successCount,
+        pendingCount: result.pendingCount,
         failureCount: result.failureCount,
         totalCost: result.totalCost,
         currency: 'USD',
@@ -82,11 +86,30 @@ router.post('/generate-videos-falai', async (req, res) => {
       error: 'Video generation failed',
       message: error.message,
       provider: 'FalAI',
+      jobId: error.jobId,
       timestamp: new Date().toISOString()
     });
   }
 });
 
+// Status of one queued video; the server polls FalAI in the background, so this answers at once
+router.get('/falai-videos/:requestId', async (req, res) => {
+  try {
+    const status = await falaiService.poll(req.params.requestId);
+    VideoJobs.recordStatus(falaiService.id, req.params.requestId, status)
+      .catch(error => logger.warn('[VideoJobs] Recording status failed:', error.message));
+    res.json({ provider: 'FalAI', ...status });
+  } catch (error) {
+    logger.logError(error, { endpoint: '/falai-videos/:requestId', requestId: req.params.requestId });
+
+    res.status(videoErrorStatus(error)).json({
+      error: 'Status check failed',
+      message: error.message,
+      provider: 'FalAI'
+    });
+  }
+});
+
 // Get FalAI service status
 router.get('/falai-status', async (req, res) => {
   try {
@@ -0,0 +1,127 @@
+import express from 'express';
+import kieAiService from '../services/kieAiService.js';
+import VideoJobs from '../services/videoJobService.js';
+import { videoErrorStatus } from '../services/videoProvider.js';
+import logger from '../../utils/logger.js';
+
+const router = express.Router();
+
+// Generate videos using Kie.ai
+router.post('/generate-videos-kieai', async (req, res) => {
+  const timer = logger.startTimer('KieAI Video Generation Request');
+
+  try {
+    const { segments, options = {}, runId } = req.body;
+
+    if (!segments || !Array.isArray(segments) || segments.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'segments array is required and must not be empty'
+      });
+    }
+
+    const invalidSegments = segments.filter(segment =>
+      !segment.action_timeline?.dialogue && !segment.character_description
+    );
+
+    if (invalidSegments.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid segment structure',
+        message: 'Each segment must have action_timeline.dialogue or character_description'
+      });
+    }
+
+    if (!kieAiService.initialized) {
+      return res.status(401).json({
+        error: 'Video generation failed',
+        message: 'Kie.ai service not initialized. Please configure KIEAI_API_KEY',
+        provider: 'KieAI'
+      });
+    }
+
+    logger.info(`[API] KieAI video generation requested for ${segments.length} segments`);
+
+    const { job, result } = await VideoJobs.generate(kieAiService, segments, {
+      aspectRatio: options.aspectRatio || '16:9',
+      ...options
+    }, { runId });
+
+    timer.end(`KieAI generation finished - ${result.successCount} completed, ${result.pendingCount} processing`);
+
+    res.json({
+      success: result.success,
+      jobId: job.id,
+      videos: result.videos,
+      metadata: {
+        totalSegments: result.totalSegments,
+        successCount: result.successCount,
+        pendingCount: result.pendingCount,
+        failureCount: result.failureCount,
+        totalCost: result.totalCost,
+        currency: 'USD',
+        provider: 'KieAI',
+        timestamp: new Date().toISOString()
+      },
+      errors: result.errors
+    });
+
+  } catch (error) {
+    timer.end('KieAI generation failed');
+
+    logger.logError(error, {
+      endpoint: '/generate-videos-kieai',
+      segmentCount: req.body.segments?.length
+    });
+
+    res.status(videoErrorStatus(error)).json({
+      error: 'Video generation failed',
+      message: error.message,
+      provider: 'KieAI',
+      jobId: error.jobId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Status of one video task, for videos still processing when generation returned
+router.get('/kieai-videos/:taskId', async (req, res) => {
+  try {
+    const status = await kieAiService.getVideoStatus(req.params.taskId);
+    VideoJobs.recordStatus(kieAiService.id, req.params.taskId, status)
+      .catch(error => logger.warn('[VideoJobs] Recording status failed:', error.message));
+    res.json({ provider: 'KieAI', ...status });
+  } catch (error) {
+    logger.logError(error, { endpoint: '/kieai-videos/:taskId', taskId: req.params.taskId });
+
+    res.status(videoErrorStatus(error)).json({
+      error: 'Status check failed',
+      message: error.message,
+      provider: 'KieAI'
+    });
+  }
+});
+
+// Get Kie.ai service status
+router.get('/kieai-status', async (req, res) => {
+  try {
+    const status = await kieAiService.getServiceStatus();
+
+    res.json({
+      provider: 'KieAI',
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.logError(error, { endpoint: '/kieai-status' });
+
+    res.status(500).json({
+      provider: 'KieAI',
+      available: false,
+      reason: 'Status check failed',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,64 @@
+import express from 'express';
+import JobService from '../services/jobService.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 15000;
+
+router.get('/jobs/:id', (req, res) => {
+  const job = JobService.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `No job with id ${req.params.id}; finished jobs expire after an hour`
+    });
+  }
+
+  res.json({ success: true, job });
+});
+
+// Server-Sent Events: a snapshot first (so a reconnecting browser catches up),
+// then progress, segment, and a final completed/failed event
+router.get('/jobs/:id/events', (req, res) => {
+  const job = JobService.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('snapshot', { job });
+  if (job.status !== 'running') {
+    send(job.status, { job });
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  const unsubscribe = JobService.subscribe(job.id, (event) => {
+    const { type, ...data } = event;
+    send(type, data);
+    if (type === 'completed' || type === 'failed') {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+export default router;
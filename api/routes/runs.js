@@ -0,0 +1,103 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import OpenAIService from '../services/openaiService.js';
+import OpenAIServicePlus from '../services/openaiService.plus.js';
+import JobService, { jobLinks } from '../services/jobService.js';
+import { openRun, withRun } from '../../utils/runStore.js';
+
+const router = express.Router();
+
+// Run ids being resumed by this process, so a second resume is turned away at once
+const resuming = new Set();
+
+const limiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10
+});
+
+router.use('/runs', limiter);
+
+const RESUMABLE_STATUSES = ['failed', 'interrupted'];
+
+// Generation entry points by the method recorded in run.json. Each one is
+// replayed with the run attached, so persisted steps are reused and only
+// missing ones are generated.
+const RESUMABLE_METHODS = {
+  'generate': (params, options) => OpenAIService.generateSegments(params, options),
+  'generate-continuation': (params, options) => OpenAIService.generateSegmentsWithVoiceProfile(params, options),
+  'generate-new-cont': (params, options) => OpenAIService.generateSegmentsWithVoiceProfile(params, options),
+  'generate-plus': (params, options) => OpenAIServicePlus.generateSegments(params, options),
+  'render-plan': async (params, options) => {
+    const { plan } = await options.run.load('plan');
+    return OpenAIServicePlus.renderPlan(params, plan, options);
+  }
+};
+
+router.post('/runs/:id/resume', async (req, res) => {
+  console.log('[Runs] Resume requested:', req.params.id);
+
+  try {
+    const run = await openRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const status = await run.load('run');
+    const method = RESUMABLE_METHODS[status.method];
+    if (!method) {
+      return res.status(400).json({ error: `Run ${run.runId} cannot be resumed (method: ${status.method || 'unknown'})` });
+    }
+    // Only runs that stopped can be resumed; a running one would render the same segments twice
+    if (!RESUMABLE_STATUSES.includes(status.status) || resuming.has(run.runId)) {
+      return res.status(409).json({ error: `Run ${run.runId} is ${resuming.has(run.runId) ? 'running' : status.status}; only failed or interrupted runs can be resumed` });
+    }
+    resuming.add(run.runId);
+
+    let params;
+    try {
+      await run.updateStatus({ status: 'running', error: null, failedStep: null });
+      params = await run.load('inputs');
+    } catch (error) {
+      resuming.delete(run.runId);
+      throw error;
+    }
+
+    const resume = async (onProgress) => {
+      try {
+        const completed = await run.loadSegments();
+        console.log(`[Runs] Resuming ${run.runPath} after ${completed.length} persisted segments`);
+
+        const result = await withRun(run, async () => {
+          const produced = await method(params, { onProgress, run });
+          produced.metadata.resumed = true;
+          return produced;
+        });
+
+        return {
+          success: true,
+          segments: result.segments,
+          metadata: result.metadata,
+          voiceProfile: result.voiceProfile
+        };
+      } finally {
+        resuming.delete(run.runId);
+      }
+    };
+
+    if (req.body.async) {
+      const job = JobService.createJob('resume', resume);
+      return res.status(202).json({ success: true, jobId: job.id, ...jobLinks(job.id) });
+    }
+
+    res.json(await resume());
+  } catch (error) {
+    console.error('[Runs] Resume error:', error);
+    res.status(500).json({
+      error: 'Failed to resume run',
+      message: error.message,
+      ...error.partial
+    });
+  }
+});
+
+export default router;
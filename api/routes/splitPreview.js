@@ -0,0 +1,42 @@
+import express from 'express';
+import { splitScript, splitOptionsFromRequest, scriptFromRequest } from '../../utils/scriptSplitter.js';
+
+const router = express.Router();
+
+// Preview the exact server-side segmentation without calling OpenAI
+router.post('/split-preview', (req, res) => {
+  try {
+    const script = scriptFromRequest(req.body);
+
+    if (!script) {
+      return res.status(400).json({
+        error: 'Script is required'
+      });
+    }
+
+    const split = splitScript(script, {
+      ...splitOptionsFromRequest(req.body),
+      logPrefix: '[Split Preview]'
+    });
+
+    res.json({
+      success: true,
+      mode: split.mode,
+      segments: split.segments,
+      options: split.options,
+      totalWords: split.totalWords,
+      estimatedDuration: split.estimatedDuration,
+      warnings: split.segments.flatMap((segment, index) =>
+        segment.warnings.map(warning => `Segment ${index + 1}: ${warning}`)
+      )
+    });
+  } catch (error) {
+    console.error('[Split Preview] Error:', error);
+    res.status(500).json({
+      error: 'Failed to preview script split',
+      message: error.message
+    });
+  }
+});
+
+export default router;
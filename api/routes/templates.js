@@ -0,0 +1,85 @@
+import express from 'express';
+import TemplateService from '../services/templateService.js';
+
+const router = express.Router();
+
+// Every template without its content: built-ins from instructions/ and user templates
+router.get('/templates', async (req, res) => {
+  try {
+    res.json({ success: true, templates: await TemplateService.list() });
+  } catch (error) {
+    console.error('[Templates] List error:', error);
+    res.status(500).json({ error: 'Failed to list templates', message: error.message });
+  }
+});
+
+router.get('/templates/:id', async (req, res) => {
+  try {
+    const template = await TemplateService.get(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('[Templates] Get error:', error);
+    res.status(500).json({ error: 'Failed to load template', message: error.message });
+  }
+});
+
+// A custom template as it was at an earlier version, e.g. the one a run recorded
+router.get('/templates/:id/versions/:version', async (req, res) => {
+  try {
+    const template = await TemplateService.getVersion(req.params.id, Number(req.params.version));
+    if (!template) {
+      return res.status(404).json({ error: `Template ${req.params.id} has no version ${req.params.version}` });
+    }
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('[Templates] Get version error:', error);
+    res.status(500).json({ error: 'Failed to load template version', message: error.message });
+  }
+});
+
+router.post('/templates', async (req, res) => {
+  console.log('[Templates] Create requested:', { name: req.body.name, format: req.body.format });
+
+  try {
+    const problem = TemplateService.validationError(req.body);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const template = await TemplateService.create(req.body);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    console.error('[Templates] Create error:', error);
+    res.status(500).json({ error: 'Failed to create template', message: error.message });
+  }
+});
+
+router.put('/templates/:id', async (req, res) => {
+  console.log('[Templates] Update requested:', req.params.id);
+
+  try {
+    const existing = await TemplateService.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (existing.source === 'builtin') {
+      return res.status(403).json({ error: `${existing.file} is built in and read-only; POST a copy to customize it` });
+    }
+
+    const problem = TemplateService.validationError(req.body, { partial: true });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const template = await TemplateService.update(req.params.id, req.body);
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('[Templates] Update error:', error);
+    res.status(500).json({ error: 'Failed to update template', message: error.message });
+  }
+});
+
+export default router;
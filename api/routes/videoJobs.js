@@ -0,0 +1,56 @@
+import express from 'express';
+import VideoJobs from '../services/videoJobService.js';
+import { videoErrorStatus } from '../services/videoProvider.js';
+import logger from '../../utils/logger.js';
+
+const router = express.Router();
+
+// Every recorded video batch, newest first
+router.get('/video-jobs', async (req, res) => {
+  try {
+    res.json({ success: true, jobs: await VideoJobs.list() });
+  } catch (error) {
+    logger.logError(error, { endpoint: '/video-jobs' });
+    res.status(500).json({ error: 'Failed to list video jobs', message: error.message });
+  }
+});
+
+router.get('/video-jobs/:id', async (req, res) => {
+  try {
+    const job = await VideoJobs.load(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Video job not found', message: `No video job with id ${req.params.id}` });
+    }
+    res.json({ success: true, job: VideoJobs.summary(job) });
+  } catch (error) {
+    logger.logError(error, { endpoint: '/video-jobs/:id', jobId: req.params.id });
+    res.status(500).json({ error: 'Failed to load video job', message: error.message });
+  }
+});
+
+// Resubmit only the failed segments of a batch
+router.post('/video-jobs/:id/retry', async (req, res) => {
+  try {
+    const retried = await VideoJobs.retry(req.params.id);
+    if (!retried) {
+      return res.status(404).json({ error: 'Video job not found', message: `No video job with id ${req.params.id}` });
+    }
+
+    const { job, result } = retried;
+    res.json({
+      success: true,
+      job,
+      retriedCount: result ? result.totalSegments : 0,
+      errors: result?.errors
+    });
+  } catch (error) {
+    logger.logError(error, { endpoint: '/video-jobs/:id/retry', jobId: req.params.id });
+    res.status(videoErrorStatus(error)).json({
+      error: 'Retry failed',
+      message: error.message,
+      jobId: req.params.id
+    });
+  }
+});
+
+export default router;
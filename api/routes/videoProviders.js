@@ -0,0 +1,135 @@
+import express from 'express';
+import VideoProviders from '../services/videoProviders.js';
+import VideoJobs from '../services/videoJobService.js';
+import { videoErrorStatus } from '../services/videoProvider.js';
+import logger from '../../utils/logger.js';
+
+const router = express.Router();
+
+// Every registered provider with its capabilities, pricing and whether it is configured
+router.get('/video-providers', (req, res) => {
+  res.json({ success: true, providers: VideoProviders.describe() });
+});
+
+// 404 for an unknown provider id; otherwise the provider is on req.provider
+router.use('/video-providers/:id', (req, res, next) => {
+  req.provider = VideoProviders.get(req.params.id);
+  if (!req.provider) {
+    return res.status(404).json({
+      error: 'Provider not found',
+      message: `No video provider "${req.params.id}". Available: ${VideoProviders.list().map(p => p.id).join(', ')}`
+    });
+  }
+  next();
+});
+
+router.get('/video-providers/:id/status', async (req, res) => {
+  try {
+    const status = await req.provider.getServiceStatus();
+    res.json({ provider: req.provider.id, ...status, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.logError(error, { endpoint: '/video-providers/:id/status', provider: req.provider.id });
+    res.status(500).json({
+      provider: req.provider.id,
+      available: false,
+      reason: 'Status check failed',
+      error: error.message
+    });
+  }
+});
+
+router.post('/video-providers/:id/estimate', (req, res) => {
+  const { segmentCount, options = {} } = req.body;
+
+  if (!Number.isInteger(segmentCount) || segmentCount < 0) {
+    return res.status(400).json({ error: 'Invalid request', message: 'segmentCount must be a non-negative integer' });
+  }
+  const optionsProblem = req.provider.validateOptions(options);
+  if (optionsProblem) {
+    return res.status(400).json({ error: 'Invalid options', message: optionsProblem });
+  }
+
+  res.json({ provider: req.provider.id, ...req.provider.estimateCost(segmentCount, options) });
+});
+
+router.post('/video-providers/:id/generate', async (req, res) => {
+  const { provider } = req;
+  const timer = logger.startTimer(`${provider.name} Video Generation Request`);
+
+  try {
+    const { segments, options = {}, runId } = req.body;
+
+    if (!segments || !Array.isArray(segments) || segments.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'segments array is required and must not be empty'
+      });
+    }
+
+    const invalidSegments = segments.filter(segment =>
+      !segment.action_timeline?.dialogue && !segment.character_description
+    );
+    if (invalidSegments.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid segment structure',
+        message: 'Each segment must have action_timeline.dialogue or character_description'
+      });
+    }
+
+    const optionsProblem = provider.validateOptions(options);
+    if (optionsProblem) {
+      return res.status(400).json({ error: 'Invalid options', message: optionsProblem });
+    }
+
+    logger.info(`[API] ${provider.name} video generation requested for ${segments.length} segments`);
+    const { job, result } = await VideoJobs.generate(provider, segments, options, { runId });
+    timer.end(`${provider.name} generation finished`);
+
+    res.json({
+      success: result.success,
+      jobId: job.id,
+      videos: result.videos,
+      metadata: {
+        totalSegments: result.totalSegments,
+        successCount: result.successCount,
+        pendingCount: result.pendingCount,
+        failureCount: result.failureCount,
+        totalCost: result.totalCost,
+        currency: 'USD',
+        provider: provider.id,
+        timestamp: new Date().toISOString()
+      },
+      errors: result.errors
+    });
+  } catch (error) {
+    timer.end(`${provider.name} generation failed`);
+    logger.logError(error, { endpoint: '/video-providers/:id/generate', provider: provider.id });
+
+    res.status(videoErrorStatus(error)).json({
+      error: 'Video generation failed',
+      message: error.message,
+      provider: provider.id,
+      jobId: error.jobId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Status of one submitted video, for videos still processing when generation returned
+router.get('/video-providers/:id/videos/:requestId', async (req, res) => {
+  try {
+    const status = await req.provider.poll(req.params.requestId);
+    VideoJobs.recordStatus(req.provider.id, req.params.requestId, status)
+      .catch(error => logger.warn('[VideoJobs] Recording status failed:', error.message));
+    res.json({ provider: req.provider.id, ...status });
+  } catch (error) {
+    logger.logError(error, { endpoint: '/video-providers/:id/videos/:requestId', provider: req.provider.id });
+    res.status(videoErrorStatus(error)).json({
+      error: 'Status check failed',
+      message: error.message,
+      provider: req.provider.id
+    });
+  }
+});
+
+export default router;
@@ -1,10 +1,34 @@
 import axios from 'axios';
 import logger from '../../utils/logger.js';
+import VideoProvider from './videoProvider.js';
 
-class FalAIService {
+// Finished requests are kept this long for clients still polling them
+const REQUEST_TTL_MS = 60 * 60 * 1000;
+
+class FalAIService extends VideoProvider {
   constructor() {
-    this.baseURL = 'https://fal.run/fal-ai/veo3';
+    super({
+      id: 'falai',
+      name: 'FalAI Veo3 Fast',
+      description: 'Actual video generation (fast mode)',
+      features: ['Actual video files', '⚡ Fast generation', '5-8 second videos', 'HD quality'],
+      capabilities: {
+        aspectRatios: ['16:9', '9:16'],
+        durations: ['5s', '6s', '7s', '8s'],
+        resolutions: ['720p', '1080p'],
+        audio: 'optional'
+      },
+      pricing: '$0.20-$0.40 per second'
+    });
+    this.baseURL = 'https://queue.fal.run';
+    this.endpoint = 'fal-ai/veo3/fast'; // Always use fast endpoint for Veo3 optimization
+    this.app = 'fal-ai/veo3'; // Queued requests are addressed without the endpoint path
     this.apiKey = process.env.FAL_AI_API_KEY || process.env.FALAI_API_KEY; // Support both formats
+    this.pollInterval = parseInt(process.env.FALAI_POLL_INTERVAL_MS) || 10000;
+    this.maxWait = parseInt(process.env.FALAI_MAX_WAIT_MS) || 30 * 60 * 1000;
+    this.submitDelay = 200;
+    this.defaultWaitSeconds = 0; // Generation returns once every segment is queued
+    this.requests = new Map();
     this.initialized = false;
     this.initialize();
   }
@@ -21,94 +45,176 @@ class FalAIService {
         'Authorization': `Key ${this.apiKey}`,
         'Content-Type': 'application/json'
       },
-      timeout: 300000 // 5 minutes timeout
+      timeout: 30000 // Queue calls answer at once; the video is fetched when ready
     });
 
     this.initialized = true;
     logger.info('[FalAI] Service initialized successfully');
   }
 
+  isConfigured() {
+    return this.initialized;
+  }
+
+  compilePrompt(segment, options = {}) {
+    return this.createVideoPrompt(segment, options);
+  }
+
+  submit(segment, options = {}) {
+    return this.generateVideoFromSegment(segment, options);
+  }
+
+  // Answered from the background tracker while it follows the request, otherwise from FalAI
+  async poll(requestId) {
+    const tracked = this.requests.get(requestId);
+    if (tracked) {
+      const { status, videoUrl, error, queuePosition } = tracked;
+      return { requestId, status, videoUrl, error, queuePosition };
+    }
+    return { requestId, ...(await this.checkRequest(requestId)) };
+  }
+
+  costPerSegment(options = {}) {
+    return this.calculateCost(options.duration || '8s', options.generateAudio !== false);
+  }
+
+  apiError(error) {
+    if (error.response) {
+      const { status, data } = error.response;
+      const detail = data?.error || data?.detail;
+      
+      switch (status) {
+        case 400:
+        case 422:
+          return new Error(`Invalid request: ${typeof detail === 'string' ? detail : JSON.stringify(detail || 'Bad request parameters')}`);
+        case 401:
+        case 403:
+          return new Error('Invalid API key. Please check your FALAI_API_KEY');
+        case 402:
+          return new Error('Insufficient credits. Please add funds to your FalAI account');
+        case 429:
+          return new Error('Rate limit exceeded. Please wait and try again');
+        case 500:
+          return new Error('FalAI service error. Please try again later');
+        default:
+          return new Error(`FalAI API error (${status}): ${detail || 'Unknown error'}`);
+      }
+    } else if (error.code === 'ECONNABORTED') {
+      return new Error('Request timeout. FalAI did not respond in time');
+    } else if (error.request) {
+      return new Error('Network error. Please check your internet connection');
+    }
+    return new Error(`FalAI service error: ${error.message}`);
+  }
+
+  /**
+   * Put one segment on the FalAI queue. Resolves as soon as FalAI accepts it,
+   * with status 'processing' and the request id; the request is then
+   * followed in the background and poll(requestId) reports the result.
+   */
   async generateVideoFromSegment(segment, options = {}) {
     if (!this.initialized) {
       throw new Error('FalAI service not initialized. Please configure FALAI_API_KEY');
     }
 
-    const timer = logger.startTimer('FalAI Video Generation');
-    logger.info(`[FalAI] Generating video for segment ${segment.segment_info?.segment_number}`);
-
-    try {
-      const prompt = this.createVideoPrompt(segment, options);
-      
-      const requestData = {
-        prompt: prompt,
-        aspect_ratio: options.aspectRatio || '16:9',
-        duration: options.duration || '8s',
-        resolution: options.resolution || '720p',
-        generate_audio: options.generateAudio !== false,
-        ...options.falaiOptions
-      };
+    logger.info(`[FalAI] Queueing video for segment ${segment.segment_info?.segment_number}`);
 
-      logger.debug('[FalAI] Request data:', requestData);
+    const prompt = this.createVideoPrompt(segment, options);
+    const requestData = {
+      prompt: prompt,
+      aspect_ratio: options.aspectRatio || '16:9',
+      duration: options.duration || '8s',
+      resolution: options.resolution || '720p',
+      generate_audio: options.generateAudio !== false,
+      ...options.falaiOptions
+    };
 
-      // Always use fast endpoint for Veo3 optimization
-      const endpoint = '/fast';
-      
-      const response = await this.axiosInstance.post(endpoint, requestData);
-      
-      timer.end(`FalAI video generation completed`);
-      
-      return {
-        success: true,
-        segmentNumber: segment.segment_info?.segment_number,
-        videoUrl: response.data.video?.url,
-        status: response.data.status || 'completed',
-        duration: requestData.duration,
-        cost: this.calculateCost(requestData.duration, requestData.generate_audio),
-        requestId: response.data.request_id,
-        metadata: {
-          prompt,
-          aspectRatio: requestData.aspect_ratio,
-          resolution: requestData.resolution,
-          generateAudio: requestData.generate_audio
-        }
-      };
+    logger.debug('[FalAI] Request data:', requestData);
 
+    let response;
+    try {
+      response = await this.axiosInstance.post(`/${this.endpoint}`, requestData);
     } catch (error) {
-      timer.end(`FalAI video generation failed`);
       logger.logError(error, {
         service: 'FalAI',
         segment: segment.segment_info?.segment_number,
-        prompt: this.createVideoPrompt(segment, options)
+        prompt
       });
-      
-      // Enhanced error handling for different types of API errors
-      if (error.response) {
-        const { status, data } = error.response;
-        
-        switch (status) {
-          case 400:
-            throw new Error(`Invalid request: ${data.error || 'Bad request parameters'}`);
-          case 401:
-            throw new Error('Invalid API key. Please check your FALAI_API_KEY');
-          case 402:
-            throw new Error('Insufficient credits. Please add funds to your FalAI account');
-          case 429:
-            throw new Error('Rate limit exceeded. Please wait and try again');
-          case 500:
-            throw new Error('FalAI service error. Please try again later');
-          default:
-            throw new Error(`FalAI API error (${status}): ${data.error || 'Unknown error'}`);
-        }
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout. Video generation is taking longer than expected');
-      } else if (error.request) {
-        throw new Error('Network error. Please check your internet connection');
-      } else {
-        throw new Error(`FalAI service error: ${error.message}`);
+      throw this.apiError(error);
+    }
+
+    const requestId = response.data.request_id;
+    this.track(requestId);
+
+    return {
+      success: true,
+      segmentNumber: segment.segment_info?.segment_number,
+      videoUrl: null,
+      status: 'processing',
+      duration: requestData.duration,
+      cost: this.calculateCost(requestData.duration, requestData.generate_audio),
+      requestId,
+      metadata: {
+        prompt,
+        aspectRatio: requestData.aspect_ratio,
+        resolution: requestData.resolution,
+        generateAudio: requestData.generate_audio
+      }
+    };
+  }
+
+  // Queue status of one request, with the video once it has completed
+  async checkRequest(requestId) {
+    try {
+      const { data } = await this.axiosInstance.get(`/${this.app}/requests/${requestId}/status`);
+      if (data.status !== 'COMPLETED') {
+        return { status: 'processing', videoUrl: null, error: null, queuePosition: data.queue_position ?? null };
+      }
+      if (data.error) {
+        return { status: 'failed', videoUrl: null, error: data.error, queuePosition: null };
       }
+    } catch (error) {
+      throw this.apiError(error);
+    }
+
+    // A completed request whose generation failed answers the result call with an error
+    try {
+      const { data } = await this.axiosInstance.get(`/${this.app}/requests/${requestId}`);
+      return { status: 'completed', videoUrl: data.video?.url || null, error: null, queuePosition: null };
+    } catch (error) {
+      if (!error.response) throw this.apiError(error);
+      return { status: 'failed', videoUrl: null, error: this.apiError(error).message, queuePosition: null };
     }
   }
 
+  /**
+   * Check a queued request every pollInterval until it completes, fails or
+   * maxWait passes. Finished requests are kept for an hour; one that is still
+   * running after maxWait is dropped, so poll() asks FalAI directly.
+   */
+  track(requestId) {
+    const record = { status: 'processing', videoUrl: null, error: null, queuePosition: null };
+    this.requests.set(requestId, record);
+    const deadline = Date.now() + this.maxWait;
+
+    const check = async () => {
+      try {
+        Object.assign(record, await this.checkRequest(requestId));
+      } catch (error) {
+        logger.warn(`[FalAI] Status check for ${requestId} failed:`, error.message);
+      }
+
+      if (record.status === 'processing' && Date.now() < deadline) {
+        setTimeout(check, this.pollInterval).unref();
+        return;
+      }
+      logger.info(`[FalAI] Request ${requestId} ${record.status}`);
+      setTimeout(() => this.requests.delete(requestId), record.status === 'processing' ? 0 : REQUEST_TTL_MS).unref();
+    };
+
+    setTimeout(check, this.pollInterval).unref();
+  }
+
   createVideoPrompt(segment, options) {
     const isEnhanced = segment.segment_info?.continuity_markers ? true : false;
     
@@ -145,65 +251,6 @@ Style: Authentic user-generated content, handheld camera, natural lighting, casu
     return prompt.trim().replace(/\s+/g, ' ').substring(0, 1000); // Limit to 1000 chars
   }
 
-  async generateVideosForAllSegments(segments, options = {}) {
-    if (!this.initialized) {
-      throw new Error('FalAI service not initialized');
-    }
-
-    logger.info(`[FalAI] Starting batch generation for ${segments.length} segments`);
-    const timer = logger.startTimer('FalAI Batch Generation');
-
-    const results = [];
-    const errors = [];
-
-    // Process segments sequentially to avoid rate limits
-    for (let i = 0; i < segments.length; i++) {
-      try {
-        logger.info(`[FalAI] Processing segment ${i + 1}/${segments.length}`);
-        const result = await this.generateVideoFromSegment(segments[i], {
-          ...options,
-          segmentIndex: i
-        });
-        results.push(result);
-        
-        // Add small delay between requests to be respectful
-        if (i < segments.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      } catch (error) {
-        logger.error(`[FalAI] Failed to generate video for segment ${i + 1}:`, error.message);
-        errors.push({
-          segmentIndex: i + 1,
-          error: error.message
-        });
-        
-        // Continue with next segment instead of failing entirely
-        results.push({
-          success: false,
-          segmentNumber: segments[i].segment_info?.segment_number || i + 1,
-          error: error.message
-        });
-      }
-    }
-
-    timer.end(`FalAI batch generation completed`);
-
-    const successCount = results.filter(r => r.success).length;
-    const totalCost = results
-      .filter(r => r.success && r.cost)
-      .reduce((sum, r) => sum + r.cost, 0);
-
-    return {
-      success: successCount > 0,
-      videos: results,
-      totalSegments: segments.length,
-      successCount,
-      failureCount: errors.length,
-      totalCost: Math.round(totalCost * 100) / 100,
-      errors: errors.length > 0 ? errors : undefined
-    };
-  }
-
   calculateCost(duration, generateAudio = true) {
     // Parse duration (e.g., "8s" -> 8)
     const seconds = parseInt(duration.replace(/[^0-9]/g, '')) || 8;
@@ -0,0 +1,120 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+// Finished jobs are kept this long so a refreshed browser can still collect them
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const STEP_LABELS = {
+  queued: 'Queued',
+  split: 'Splitting script',
+  plan: 'Planning locations and camera',
+  'base-descriptions': 'Generating base descriptions',
+  'voice-profile': 'Extracting voice profile',
+  handoffs: 'Planning continuity handoffs',
+  segment: 'Generating segment',
+  continuity: 'Repairing continuity of segment'
+};
+
+function describeStep({ step, current, total }) {
+  const label = STEP_LABELS[step] || step;
+  return (step === 'segment' || step === 'continuity') && current ? `${label} ${current} of ${total}` : label;
+}
+
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * Start `work(onProgress)` in the background and return the job immediately.
+   * `work` resolves to the same payload the synchronous endpoint would send.
+   */
+  createJob(kind, work) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      kind,
+      status: 'running',
+      step: { step: 'queued', label: STEP_LABELS.queued },
+      segments: [],
+      result: null,
+      error: null,
+      partial: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.jobs.set(job.id, job);
+    console.log(`[Jobs] Created ${kind} job ${job.id}`);
+
+    Promise.resolve()
+      .then(() => work((progress) => this.reportProgress(job, progress)))
+      .then((result) => this.finish(job, 'completed', { result }))
+      .catch((error) => {
+        console.error(`[Jobs] Job ${job.id} failed:`, error);
+        this.finish(job, 'failed', { error: error.message || 'Job failed', partial: error.partial || null });
+      });
+
+    return this.toJSON(job);
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toJSON(job) : null;
+  }
+
+  /**
+   * Listen to a job's events. Returns an unsubscribe function.
+   */
+  subscribe(id, listener) {
+    this.events.on(id, listener);
+    return () => this.events.off(id, listener);
+  }
+
+  reportProgress(job, progress) {
+    const { segment, ...step } = progress;
+    job.step = { ...step, label: describeStep(step) };
+    job.updatedAt = new Date().toISOString();
+
+    if (segment) {
+      job.segments[step.current - 1] = segment;
+      this.events.emit(job.id, { type: 'segment', index: step.current - 1, segment, step: job.step });
+    } else {
+      this.events.emit(job.id, { type: 'progress', step: job.step });
+    }
+  }
+
+  finish(job, status, fields) {
+    Object.assign(job, fields, { status, updatedAt: new Date().toISOString() });
+    job.step = { step: status, label: status === 'completed' ? 'Completed' : 'Failed' };
+    console.log(`[Jobs] Job ${job.id} ${status}`);
+    this.events.emit(job.id, { type: status, job: this.toJSON(job) });
+
+    setTimeout(() => this.jobs.delete(job.id), JOB_TTL_MS).unref();
+  }
+
+  toJSON(job) {
+    return {
+      id: job.id,
+      kind: job.kind,
+      status: job.status,
+      step: job.step,
+      segments: job.segments.filter(Boolean),
+      result: job.result,
+      error: job.error,
+      partial: job.partial,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+}
+
+export default new JobService();
+
+export function jobLinks(id) {
+  return {
+    statusUrl: `/api/jobs/${id}`,
+    eventsUrl: `/api/jobs/${id}/events`
+  };
+}
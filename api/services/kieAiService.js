@@ -0,0 +1,248 @@
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+import VideoProvider from './videoProvider.js';
+
+// USD per video, flat rate regardless of duration
+const COST_PER_VIDEO = {
+  veo3_fast: 0.40,
+  veo3: 2.00
+};
+
+// record-info successFlag values
+const TASK_STATUS = {
+  0: 'processing',
+  1: 'completed',
+  2: 'failed',
+  3: 'failed'
+};
+
+// Task parameters from record-info; a missing or malformed paramJson counts as none
+function taskParams(paramJson) {
+  try {
+    return JSON.parse(paramJson || '{}') || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Text-to-video prompt for one Veo 3 JSON segment: the character, the line
+ * they speak, their actions, the camera and the setting. Exported on its
+ * own so prompts can be checked without an API key.
+ */
+export function createPromptFromSegment(segment) {
+  const characterDesc = segment.character_description || {};
+  const actionTimeline = segment.action_timeline || {};
+  const sceneContinuity = segment.scene_continuity || {};
+
+  const actions = actionTimeline.synchronized_actions && typeof actionTimeline.synchronized_actions === 'object'
+    ? Object.entries(actionTimeline.synchronized_actions).map(([time, action]) => `${time}: ${action}`).join(', ')
+    : actionTimeline.synchronized_actions || 'Natural gestures while speaking';
+
+  const parts = [
+    `UGC style video: ${characterDesc.current_state || characterDesc.physical || 'A person speaking to camera'}.`,
+    `Dialogue: "${actionTimeline.dialogue || ''}"`,
+    `Actions: ${actions}`,
+    `Camera: ${sceneContinuity.camera_position || 'Medium shot, eye level'}`,
+    sceneContinuity.environment || sceneContinuity.props_in_frame
+      ? `Environment: ${sceneContinuity.environment || sceneContinuity.props_in_frame}`
+      : '',
+    sceneContinuity.lighting_state ? `Lighting: ${sceneContinuity.lighting_state}` : '',
+    'Style: Authentic user-generated content, handheld camera, natural lighting, casual and relatable. 8 second video.'
+  ];
+
+  return parts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim().substring(0, 2000);
+}
+
+class KieAiService extends VideoProvider {
+  constructor() {
+    super({
+      id: 'kieai',
+      name: 'Kie.ai',
+      description: 'Alternative video generation',
+      features: ['Actual video files', 'Flat rate pricing', 'Good quality', 'Image to video'],
+      capabilities: {
+        aspectRatios: ['16:9', '9:16'],
+        durations: ['8s'],
+        resolutions: ['720p'],
+        audio: 'always',
+        imageInput: true
+      },
+      pricing: '$0.40 per video'
+    });
+    this.baseURL = 'https://api.kie.ai';
+    this.apiKey = process.env.KIEAI_API_KEY;
+    this.model = process.env.KIEAI_MODEL || 'veo3_fast';
+    this.pollInterval = parseInt(process.env.KIEAI_POLL_INTERVAL_MS) || 15000;
+    this.defaultWaitSeconds = 0; // Generation returns once every segment is submitted
+    this.initialized = false;
+    this.initialize();
+  }
+
+  initialize() {
+    if (!this.apiKey) {
+      logger.warn('[KieAI] API key not found. Video generation will be disabled.');
+      return;
+    }
+
+    this.axiosInstance = axios.create({
+      baseURL: this.baseURL,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 60000
+    });
+
+    this.initialized = true;
+    logger.info('[KieAI] Service initialized successfully');
+  }
+
+  isConfigured() {
+    return this.initialized;
+  }
+
+  createPromptFromSegment(segment) {
+    return createPromptFromSegment(segment);
+  }
+
+  compilePrompt(segment) {
+    return createPromptFromSegment(segment);
+  }
+
+  calculateCost(model = this.model) {
+    return COST_PER_VIDEO[model] ?? COST_PER_VIDEO.veo3_fast;
+  }
+
+  costPerSegment(options = {}) {
+    return this.calculateCost(options.model);
+  }
+
+  // Kie.ai reports errors both as HTTP statuses and as `code` in a 200 body
+  apiError(status, message) {
+    switch (status) {
+      case 401:
+        return new Error('Invalid API key. Please check your KIEAI_API_KEY');
+      case 402:
+        return new Error('Insufficient balance. Please add credits to your Kie.ai account');
+      case 422:
+        return new Error(`Invalid request: ${message || 'Bad request parameters'}`);
+      case 429:
+        return new Error('Rate limit exceeded. Please wait and try again');
+      case 455:
+        return new Error('Kie.ai is under maintenance. Please try again later');
+      default:
+        return new Error(`Kie.ai API error (${status}): ${message || 'Unknown error'}`);
+    }
+  }
+
+  async request(method, url, options = {}) {
+    if (!this.initialized) {
+      throw new Error('Kie.ai service not initialized. Please configure KIEAI_API_KEY');
+    }
+
+    let response;
+    try {
+      response = await this.axiosInstance.request({ method, url, ...options });
+    } catch (error) {
+      if (error.response) {
+        throw this.apiError(error.response.status, error.response.data?.msg);
+      } else if (error.code === 'ECONNABORTED') {
+        throw new Error('Request timeout. Kie.ai did not respond in time');
+      } else if (error.request) {
+        throw new Error('Network error. Please check your internet connection');
+      }
+      throw new Error(`Kie.ai service error: ${error.message}`);
+    }
+
+    const { code, msg, data } = response.data || {};
+    if (code !== 200) throw this.apiError(code, msg);
+    return data;
+  }
+
+  /**
+   * Submit a text-to-video task. Resolves as soon as Kie.ai accepts it;
+   * poll getVideoStatus(taskId) or waitFor(taskId) for the result.
+   */
+  async generateVideo(prompt, options = {}) {
+    const model = options.model || this.model;
+    logger.info(`[KieAI] Submitting video task (${model})`);
+
+    const data = await this.request('post', '/api/v1/veo/generate', {
+      data: {
+        prompt,
+        model,
+        aspectRatio: options.aspectRatio || '16:9',
+        ...(options.imageUrl && { imageUrls: [options.imageUrl] }),
+        ...options.kieaiOptions
+      }
+    });
+
+    return {
+      success: true,
+      taskId: data.taskId,
+      status: 'processing',
+      estimatedTime: '5-8 minutes',
+      model,
+      cost: this.calculateCost(model)
+    };
+  }
+
+  async getVideoStatus(taskId) {
+    const data = await this.request('get', '/api/v1/veo/record-info', { params: { taskId } });
+    const status = TASK_STATUS[data.successFlag] || 'processing';
+    const createdAt = data.createTime ? new Date(data.createTime) : null;
+
+    return {
+      taskId,
+      status,
+      videoUrl: data.response?.resultUrls?.[0] || null,
+      progress: status === 'processing' && createdAt
+        ? `${Math.round((Date.now() - createdAt.getTime()) / 1000)}s elapsed`
+        : null,
+      cost: { amount: this.calculateCost(taskParams(data.paramJson).model), currency: 'USD' },
+      error: status === 'failed' ? data.errorMessage || 'Generation failed' : null
+    };
+  }
+
+  async submit(segment, options = {}) {
+    const prompt = this.compilePrompt(segment, options);
+    const task = await this.generateVideo(prompt, options);
+    return {
+      requestId: task.taskId,
+      status: task.status,
+      videoUrl: null,
+      duration: '8s',
+      cost: task.cost,
+      metadata: { prompt, model: task.model, aspectRatio: options.aspectRatio || '16:9' }
+    };
+  }
+
+  async poll(requestId) {
+    const { status, videoUrl, error } = await this.getVideoStatus(requestId);
+    return { requestId, status, videoUrl, error };
+  }
+
+  // Checks the key against the account balance endpoint
+  async getServiceStatus() {
+    if (!this.initialized) {
+      return {
+        available: false,
+        reason: 'API key not configured'
+      };
+    }
+
+    try {
+      const credits = await this.request('get', '/api/v1/chat/credit', { timeout: 5000 });
+      return { available: true, credits };
+    } catch (error) {
+      logger.warn('[KieAI] Service health check failed:', error.message);
+      return {
+        available: false,
+        reason: error.message
+      };
+    }
+  }
+}
+
+export default new KieAiService();
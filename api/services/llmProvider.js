@@ -0,0 +1,109 @@
+import OpenAI from 'openai';
+import { mockChatCompletion } from './mockLlm.js';
+import { createStepSettings } from '../../utils/llmSettings.js';
+import { withLLMCache, llmCacheMode, LLM_CACHE_MODES } from '../../utils/llmCache.js';
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+export const LLM_PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+/**
+ * Chat completions for the generation services. Every call names its
+ * pipeline step (e.g. 'segment', 'base-descriptions') and passes an
+ * OpenAI-style request; the response is OpenAI-shaped for every backend.
+ *
+ * LLM_PROVIDER selects the backend:
+ * - openai: api.openai.com with OPENAI_API_KEY (default)
+ * - openai-compatible: any server speaking the OpenAI API at LLM_BASE_URL
+ *   (Ollama, vLLM, LM Studio...), with LLM_API_KEY if it needs one
+ * - mock: deterministic, template-shaped fixture JSON, no network
+ *
+ * LLM_MODEL replaces the default model (gpt-4o). The client is created on
+ * first use, so a missing key fails the call instead of the server.
+ *
+ * Model, temperature and max_tokens are resolved per step by the run's
+ * step settings (utils/llmSettings.js); the request's own values are the
+ * defaults. Each request is added to the settings' prompt log and each
+ * response's token usage to its usage log.
+ *
+ * LLM_CACHE=record|replay puts the on-disk response cache
+ * (utils/llmCache.js) in front of the backend. Replay needs no provider
+ * settings at all.
+ */
+class LLMProvider {
+  constructor() {
+    this.name = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+    this.model = process.env.LLM_MODEL || DEFAULT_MODEL;
+    this.cacheMode = llmCacheMode();
+    this.backend = null;
+
+    if (!LLM_PROVIDERS.includes(this.name)) {
+      console.warn(`[LLM] Unknown LLM_PROVIDER "${this.name}", expected one of: ${LLM_PROVIDERS.join(', ')}`);
+    }
+    if (!LLM_CACHE_MODES.includes(this.cacheMode)) {
+      console.warn(`[LLM] Unknown LLM_CACHE "${this.cacheMode}", expected one of: ${LLM_CACHE_MODES.join(', ')}; caching is off`);
+    }
+    console.log(`[LLM] Provider: ${this.name}, default model: ${this.model}, cache: ${this.cacheMode}`);
+  }
+
+  // Provider settings without secrets, for /api/health and startup checks
+  describe() {
+    return {
+      provider: this.name,
+      model: this.model,
+      baseURL: this.name === 'openai-compatible' ? process.env.LLM_BASE_URL || null : undefined,
+      cache: this.cacheMode,
+      configured: this.configurationError() === null
+    };
+  }
+
+  configurationError() {
+    if (this.name === 'mock' || this.cacheMode === 'replay') return null;
+    if (this.name === 'openai-compatible') {
+      return process.env.LLM_BASE_URL ? null : 'LLM_BASE_URL is required for LLM_PROVIDER=openai-compatible';
+    }
+    if (this.name === 'openai') {
+      return process.env.OPENAI_API_KEY ? null : 'OPENAI_API_KEY is missing; set it or use LLM_PROVIDER=mock';
+    }
+    return `Unknown LLM_PROVIDER "${this.name}"`;
+  }
+
+  getBackend() {
+    if (this.backend) return this.backend;
+
+    if (this.cacheMode === 'replay') {
+      this.backend = withLLMCache(null, 'replay');
+      return this.backend;
+    }
+
+    const error = this.configurationError();
+    if (error) throw new Error(error);
+
+    let backend;
+    if (this.name === 'mock') {
+      backend = { create: async (request, step) => mockChatCompletion(step, request) };
+    } else {
+      const client = this.name === 'openai-compatible'
+        ? new OpenAI({ apiKey: process.env.LLM_API_KEY || 'not-needed', baseURL: process.env.LLM_BASE_URL })
+        : new OpenAI({ apiKey: process.env.OPENAI_API_KEY, project: process.env.OPENAI_PROJECT_ID });
+      backend = { create: (request) => client.chat.completions.create(request) };
+    }
+    this.backend = withLLMCache(backend, this.cacheMode);
+    return this.backend;
+  }
+
+  async chat(step, request, settings = createStepSettings()) {
+    const chosen = settings.resolve(step, {
+      model: this.model,
+      temperature: request.temperature,
+      max_tokens: request.max_tokens
+    });
+    const sent = { ...request, ...chosen };
+    settings.prompts.record(step, sent);
+    const response = await this.getBackend().create(sent, step);
+    settings.usage.record(step, chosen.model, response.usage);
+    return response;
+  }
+}
+
+export default new LLMProvider();
@@ -0,0 +1,180 @@
+// Deterministic stand-in for the chat completion API (LLM_PROVIDER=mock).
+// Responses are built from the prompt alone: they follow the JSON shape each
+// pipeline step asks for, meet the instruction templates' word minimums and
+// echo the script text and base descriptions, so a mock run passes the
+// schema, drift and dialogue checks end to end without any network.
+
+const VOCABULARY = [
+  'consistent', 'natural', 'soft', 'warm', 'detailed', 'steady', 'realistic', 'balanced',
+  'clear', 'subtle', 'relaxed', 'authentic', 'bright', 'gentle', 'focused', 'grounded'
+];
+
+// `count` words about `label`, always the same for the same input
+function filler(label, count) {
+  const words = [`Mock ${label}:`];
+  for (let i = 0; words.length < count + 1; i++) {
+    words.push(VOCABULARY[(i + label.length) % VOCABULARY.length]);
+  }
+  return `${words.join(' ')}.`;
+}
+
+function userPrompt(request) {
+  return request.messages.find(message => message.role === 'user')?.content || '';
+}
+
+function match(text, pattern, fallback = '') {
+  return text.match(pattern)?.[1] ?? fallback;
+}
+
+// Base description keys listed in the prompt as "key": "[N+ words ...]"
+function baseDescriptions(prompt) {
+  const fields = [...prompt.matchAll(/"(\w+)": "\[(\d+)\+/g)];
+  return Object.fromEntries(fields.map(([, key, minimum]) => [key, filler(key, Number(minimum) + 10)]));
+}
+
+// Expansion requests list "- key: N words, needs M+"
+function expandedDescriptions(prompt) {
+  const fields = [...prompt.matchAll(/^- (\w+): \d+ words, needs (\d+)\+/gm)];
+  return Object.fromEntries(fields.map(([, key, minimum]) => [key, filler(key, Number(minimum) + 10)]));
+}
+
+// One segment that satisfies every segment schema (standard, enhanced,
+// continuation-minimal and animal), reusing the base text it was given
+function segment(prompt) {
+  const segmentNumber = Number(match(prompt, /Create segment (\d+)/, 1));
+  const totalSegments = Number(match(prompt, /Create segment \d+ of (\d+)/, 1));
+  const dialogue = match(prompt, /(?:Dialogue for this segment|New Dialogue): "([\s\S]*?)"\n/);
+  const location = match(prompt, /Current Location: (.*)/, 'living room');
+  const startPosition = match(prompt, /start_position: "(.*)"/, 'Seated facing the camera, product held at chest height');
+  const endPosition = match(prompt, /end_position: "(.*)"/, 'Seated facing the camera, product held at chest height');
+  const base = (label) => match(prompt, new RegExp(`^${label}(?: \\([^)]*\\))?: (.*)$`, 'm'));
+
+  return {
+    segment_info: {
+      segment_number: segmentNumber,
+      total_segments: totalSegments,
+      duration: '00:00-00:08',
+      location,
+      overlap_instructions: 'Character position at end matches next segment start',
+      continuity_markers: {
+        start_position: startPosition,
+        end_position: endPosition,
+        start_expression: 'Relaxed smile',
+        end_expression: 'Relaxed smile'
+      }
+    },
+    character_description: {
+      physical: base('Animal Physical') || base('Physical') || filler('physical', 260),
+      clothing: base('Clothing') || filler('clothing', 160),
+      current_state: filler('current state', 110),
+      voice_matching: [base('Animal Voice') || base('Base Voice'), filler('voice matching', 160)].filter(Boolean).join(' '),
+      behavioral_patterns: filler('behavioral patterns', 110),
+      facial_acting: filler('facial acting', 60)
+    },
+    scene_continuity: {
+      environment: filler('environment', 260),
+      camera_position: filler('camera position', 80),
+      camera_movement: 'Static handheld with gentle sway',
+      lighting_state: filler('lighting', 60),
+      props_in_frame: filler('props', 80),
+      background_elements: filler('background', 60)
+    },
+    action_timeline: {
+      dialogue,
+      synchronized_actions: {
+        '0:00-0:02': 'Opens with a relaxed smile',
+        '0:02-0:06': 'Gestures toward the product while speaking',
+        '0:06-0:08': 'Settles into the end position'
+      },
+      product_interactions: 'Holds the product at chest height',
+      micro_expressions: filler('micro expressions', 60),
+      breathing_rhythm: 'Natural breath between phrases',
+      lip_sync: {
+        viseme_timeline: { '0:00-0:01': 'M/B/P closed', '0:01-0:02': 'AA wide' }
+      },
+      voice_continuity: {
+        technical_specs: 'Matches the voice profile',
+        emotional_tone: 'Warm',
+        pacing_rhythm: 'Even',
+        emphasis_patterns: 'Slight volume increase on key words'
+      },
+      behavioral_consistency: {
+        gesture_style: 'Natural',
+        facial_expressions: 'Warm',
+        body_language: 'Open',
+        movement_quality: 'Smooth'
+      },
+      transition_prep: endPosition
+    }
+  };
+}
+
+function voiceProfile() {
+  return {
+    pitchRange: '170-190 Hz',
+    speakingRate: '145 wpm',
+    toneQualities: 'Warm and clear',
+    breathingPattern: 'Natural pauses between phrases',
+    emotionalInflections: {
+      excitement: 'Pitch rises slightly',
+      emphasis: 'Slight volume increase on key words',
+      warmth: 'Soft smile in the voice'
+    },
+    uniqueMarkers: ['Gentle upward inflection on questions'],
+    regionalAccent: 'Neutral',
+    vocalTexture: 'Smooth'
+  };
+}
+
+const LOCATIONS = ['living room', 'kitchen', 'home office', 'bedroom'];
+const CAMERA_STYLES = ['static-handheld', 'slow-push', 'orbit', 'dynamic', 'pov-selfie'];
+
+const FIXTURES = {
+  'base-descriptions': baseDescriptions,
+  'base-description-expand': expandedDescriptions,
+  'segment': segment,
+  'continuation': segment,
+  'voice-profile': voiceProfile,
+  'location-inference': (prompt) => {
+    const count = Number(match(prompt, /Segments Needed: (\d+)/, 1));
+    return { locations: Array.from({ length: count }, (_, i) => LOCATIONS[i % LOCATIONS.length]) };
+  },
+  'camera-inference': (prompt) => {
+    const count = Number(match(prompt, /Segments Needed: (\d+)/, 1));
+    return { camera: Array.from({ length: count }, (_, i) => CAMERA_STYLES[i % CAMERA_STYLES.length]) };
+  },
+  'handoffs': (prompt) => {
+    const count = Number(match(prompt, /array of (\d+) strings/, 1));
+    return {
+      opening_position: 'Seated facing the camera, product held at chest height',
+      end_positions: Array.from({ length: count }, () => 'Seated facing the camera, product held at chest height')
+    };
+  }
+};
+
+// Rough token estimate, so usage reporting has numbers to show
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+export function mockChatCompletion(step, request) {
+  const fixture = FIXTURES[step];
+  if (!fixture) throw new Error(`Mock LLM has no fixture for step "${step}"`);
+
+  const prompt = userPrompt(request);
+  const content = JSON.stringify(fixture(prompt));
+  const promptTokens = request.messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+  const completionTokens = estimateTokens(content);
+
+  return {
+    id: `mock-${step}`,
+    object: 'chat.completion',
+    model: request.model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  };
+}
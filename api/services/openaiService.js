@@ -1,57 +1,48 @@
-import OpenAI from 'openai';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { splitScript } from '../../utils/scriptSplitter.js';
+import { attachDirectives } from '../../utils/scriptDirectives.js';
+import { checkpoint, segmentStep } from '../../utils/runStore.js';
+import { resolveConcurrency, renderWithHandoffs } from '../../utils/continuity.js';
+import { requestValidSegment, segmentSchemaFor, createValidationLog } from '../../utils/segmentSchemas.js';
+import { ensureWordMinimums, wordCountReport } from '../../utils/baseDescriptions.js';
+import { enforceBaseDescriptions } from '../../utils/baseConsistency.js';
+import { enforceDialogue } from '../../utils/dialogueFidelity.js';
+import { describeCharacter } from '../../utils/characterGuidance.js';
+import { createStepSettings } from '../../utils/llmSettings.js';
+import { renderTemplate, promptVariables } from '../../utils/templateEngine.js';
+import LLMProvider from './llmProvider.js';
+import TemplateService from './templateService.js';
 
 class OpenAIService {
   constructor() {
-    try {
-      const apiKey = process.env.OPENAI_API_KEY;
-      const projectId = process.env.OPENAI_PROJECT_ID;
-
-      console.log('Attempting to initialize OpenAI client...');
-      console.log(`API Key loaded: ${apiKey ? `sk-...${apiKey.slice(-4)}` : 'Not found'}`);
-      console.log(`Project ID loaded: ${projectId || 'Not found'}`);
-
-      if (!apiKey) {
-        throw new Error('OPENAI_API_KEY environment variable is missing or empty.');
-      }
-
-      this.openai = new OpenAI({
-        apiKey: apiKey,
-        project: projectId,
-      });
-
-      console.log('OpenAI client initialized successfully.');
-      this.templateInstructions = null;
-    } catch (error) {
-      console.error('Failed to initialize OpenAI client:', error);
-      throw error; // Re-throw the error to crash the application as it's a critical failure
-    }
+    // Chat completions go through the configured provider (OpenAI,
+    // OpenAI-compatible or mock), so the service loads without an API key
+    this.llm = LLMProvider;
+    this.templateInstructions = null;
   }
 
-  async loadTemplate(format = 'standard') {
-    const filename = format === 'enhanced' 
-      ? 'veo3-enhanced-continuity.md' 
-      : 'veo3-json-guidelines.md';
-    
-    const templatePath = path.join(__dirname, '../../instructions/', filename);
-    console.log(`[OpenAI] Loading template: ${filename}`);
-    
-    return await fs.readFile(templatePath, 'utf8');
+  // A template picked by id (see TemplateService) replaces the default for the format
+  async loadTemplate(format = 'standard', templateId = null) {
+    const id = templateId || (format === 'enhanced' ? 'veo3-enhanced-continuity' : 'veo3-json-guidelines');
+    console.log(`[OpenAI] Loading template: ${id}`);
+    return TemplateService.load(id);
   }
 
-  async generateSegments(params) {
+  async generateSegments(params, { onProgress = () => {}, run = null } = {}) {
     console.log('[OpenAI] Starting generation with format:', params.jsonFormat || 'standard');
     console.log('[OpenAI] Setting mode:', params.settingMode || 'single');
-    const template = await this.loadTemplate(params.jsonFormat);
+    const template = await this.loadTemplate(params.jsonFormat, params.templateId);
+    const segmentPrompt = await TemplateService.prompt('segment');
     
     // Step 1: Analyze and split script
-    const scriptSegments = await this.splitScript(params.script);
+    const split = await checkpoint(run, 'split', () =>
+      splitScript(params.script, { ...params.splitOptions, logPrefix: '[OpenAI]' })
+    );
+    const scriptSegments = split.segments.map(s => s.text);
     console.log('[OpenAI] Script split into', scriptSegments.length, 'segments');
+    onProgress({ step: 'split', total: scriptSegments.length });
+    // Prompts see the script as spoken, without directives or break markers
+    params = { ...params, script: split.spokenScript, stepSettings: createStepSettings(params.llmSettings) };
+    run?.trackUsage(params.stepSettings.usage);
     
     // Prepare location data for mixed settings
     let locations = [];
@@ -63,164 +54,106 @@ class OpenAIService {
         locations.push(locations[locations.length - 1] || 'living room');
       }
     }
+    // Inline [location: ...] directives override the per-segment location
+    locations = locations.map((location, i) => split.segments[i]?.directives.location || location);
     
     // Step 2: Generate base descriptions (used across all segments)
     console.log('[OpenAI] Generating base descriptions...');
-    const baseDescriptions = await this.generateBaseDescriptions(params, template);
+    onProgress({ step: 'base-descriptions', total: scriptSegments.length });
+    const baseDescriptions = await checkpoint(run, 'base-descriptions', () =>
+      this.generateBaseDescriptions(params, template)
+    );
     console.log('[OpenAI] Base descriptions generated');
     
     // Step 3: Generate each segment
-    const segments = [];
-    console.log('[OpenAI] Generating individual segments...');
-    for (let i = 0; i < scriptSegments.length; i++) {
-      console.log(`[OpenAI] Generating segment ${i + 1}/${scriptSegments.length}`);
-      const segment = await this.generateSegment({
+    const validationLog = createValidationLog(segmentSchemaFor(params), params.requiredFields);
+    const renderSegment = async (i, previousSegment, handoff = null) => attachDirectives(
+      await this.generateSegment({
         segmentNumber: i + 1,
         totalSegments: scriptSegments.length,
         scriptPart: scriptSegments[i],
+        directives: split.segments[i].directives,
         baseDescriptions,
-        previousSegment: segments[i - 1] || null,
+        previousSegment,
+        handoff,
         template,
+        validationLog,
         currentLocation: locations[i],
         previousLocation: i > 0 ? locations[i - 1] : null,
         nextLocation: i < locations.length - 1 ? locations[i + 1] : null,
         ...params
-      });
-      segments.push(segment);
+      }),
+      split.segments[i].directives
+    );
+    
+    const concurrency = resolveConcurrency(params.concurrency);
+    let segments = [];
+    let continuity;
+    if (concurrency > 1) {
+      ({ segments, continuity } = await renderWithHandoffs({
+        llm: this.llm,
+        settings: params.stepSettings,
+        run,
+        concurrency,
+        dialogues: scriptSegments,
+        locations,
+        product: params.product,
+        render: renderSegment,
+        onProgress,
+        logPrefix: '[OpenAI]'
+      }));
+    } else {
+      console.log('[OpenAI] Generating individual segments...');
+      for (let i = 0; i < scriptSegments.length; i++) {
+        console.log(`[OpenAI] Generating segment ${i + 1}/${scriptSegments.length}`);
+        onProgress({ step: 'segment', current: i + 1, total: scriptSegments.length });
+        const segment = await checkpoint(run, segmentStep(i + 1), () => renderSegment(i, segments[i - 1] || null));
+        segments.push(segment);
+        onProgress({ step: 'segment', current: i + 1, total: scriptSegments.length, segment });
+      }
     }
     
+    const dialogue = enforceDialogue(segments, scriptSegments, { policy: params.dialoguePolicy, script: params.script });
+    console.log(`[OpenAI] Dialogue mismatches in ${dialogue.mismatchedSegments.length} segments (${dialogue.policy}); script ${dialogue.script.matches ? 'matches' : 'differs'}`);
+    const drift = enforceBaseDescriptions(segments, baseDescriptions, { policy: params.driftPolicy, avatarMode: params.avatarMode });
+    console.log(`[OpenAI] Base description drift in ${drift.driftedSegments.length} segments (${drift.policy})`);
+    if (run) await run.savePrompts(params.stepSettings.prompts);
+    
     return {
       segments,
       metadata: {
         totalSegments: segments.length,
-        estimatedDuration: segments.length * 8,
-        characterId: this.generateCharacterId(params)
+        estimatedDuration: segments.length * split.options.clipSeconds,
+        characterId: this.generateCharacterId(params),
+        split,
+        baseDescriptionWords: wordCountReport(baseDescriptions, this.baseDescriptionMinimums(params)),
+        baseDescriptionDrift: drift,
+        dialogue,
+        validation: validationLog.report(segments),
+        templates: [template, segmentPrompt].map(entry => TemplateService.describe(entry)),
+        prompts: params.stepSettings.prompts.report(),
+        llmSettings: params.stepSettings.report(),
+        llmUsage: params.stepSettings.usage.report(),
+        ...(continuity && { continuity })
       }
     };
   }
 
-  async splitScript(script) {
-    const wordsPerSecond = 150 / 60; // 2.5 words per second (150 wpm)
-    const minWordsFor6Seconds = 15; // 15 words minimum for 6 seconds
-    const targetWordsFor8Seconds = 20; // 20 words target for 8 seconds
-    const maxWordsFor8Seconds = 22; // 22 words max to leave room for pauses
-    
-    console.log('[OpenAI] Script splitting parameters:', {
-      minWords: minWordsFor6Seconds,
-      targetWords: targetWordsFor8Seconds,
-      maxWords: maxWordsFor8Seconds
-    });
-    
-    const sentences = script.match(/[^.!?]+[.!?]+/g) || [script];
-    
-    const rawSegments = [];
-    let currentSegment = '';
-    let currentWordCount = 0;
-    
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i].trim();
-      const sentenceWords = sentence.split(/\s+/).length;
-      
-      if (currentSegment === '') {
-        currentSegment = sentence;
-        currentWordCount = sentenceWords;
-        
-        while (currentWordCount < minWordsFor6Seconds && i + 1 < sentences.length) {
-          i++;
-          const nextSentence = sentences[i].trim();
-          const nextWords = nextSentence.split(/\s+/).length;
-          
-          if (currentWordCount + nextWords > maxWordsFor8Seconds) {
-            if (currentWordCount < minWordsFor6Seconds) {
-              currentSegment += ' ' + nextSentence;
-              currentWordCount += nextWords;
-            } else {
-              i--;
-              break;
-            }
-          } else {
-            currentSegment += ' ' + nextSentence;
-            currentWordCount += nextWords;
-          }
-        }
-        
-        rawSegments.push(currentSegment);
-        currentSegment = '';
-        currentWordCount = 0;
-      }
-    }
-    
-    const finalSegments = [];
-    
-    for (let i = 0; i < rawSegments.length; i++) {
-      const segment = rawSegments[i];
-      const wordCount = segment.split(/\s+/).length;
-      const duration = wordCount / wordsPerSecond;
-      
-      console.log(`[OpenAI] Raw segment ${i + 1}: ${wordCount} words, ~${duration.toFixed(1)}s speaking time`);
-      
-      if (wordCount < minWordsFor6Seconds && i < rawSegments.length - 1) {
-        const nextSegment = rawSegments[i + 1];
-        const nextWords = nextSegment.split(/\s+/).length;
-        
-        if (nextWords > minWordsFor6Seconds) {
-          const nextSentences = nextSegment.match(/[^.!?]+[.!?]+/g) || [nextSegment];
-          if (nextSentences.length > 1) {
-            const borrowedSentence = nextSentences[0];
-            const borrowedWords = borrowedSentence.split(/\s+/).length;
-            
-            if (wordCount + borrowedWords <= maxWordsFor8Seconds) {
-              finalSegments.push(segment + ' ' + borrowedSentence);
-              rawSegments[i + 1] = nextSentences.slice(1).join(' ');
-              continue;
-            }
-          }
-        }
-        
-        if (i < rawSegments.length - 1) {
-          const merged = segment + ' ' + rawSegments[i + 1];
-          const mergedWords = merged.split(/\s+/).length;
-          
-          if (mergedWords <= 30) { // Reasonable upper limit
-            finalSegments.push(merged);
-            i++; // Skip next segment
-            continue;
-          }
-        }
-      }
-      
-      finalSegments.push(segment);
-    }
-    
-    console.log('[OpenAI] Final segment distribution:');
-    finalSegments.forEach((segment, i) => {
-      const wordCount = segment.split(/\s+/).length;
-      const duration = wordCount / wordsPerSecond;
-      console.log(`  Segment ${i + 1}: ${wordCount} words, ~${duration.toFixed(1)}s speaking time`);
-      
-      if (duration < 6) {
-        console.warn(`  ⚠️  Segment ${i + 1} is under 6 seconds!`);
-      }
-    });
-    
-    return finalSegments;
-  }
-
   async generateBaseDescriptions(params, template) {
     console.log('[OpenAI] Calling API for base descriptions');
     try {
       const isEnhanced = params.jsonFormat === 'enhanced';
-      const response = await this.openai.chat.completions.create({
-      model: "gpt-4o",
+      const response = await this.llm.chat('base-descriptions', {
       messages: [
         {
           role: "system",
-          content: `${template}\n\nGenerate the base descriptions that will remain IDENTICAL across all segments. Follow the exact word count requirements. Return ONLY valid JSON.`
+          content: `${renderTemplate(template.content, promptVariables(params))}\n\nGenerate the base descriptions that will remain IDENTICAL across all segments. Follow the exact word count requirements. Return ONLY valid JSON.`
         },
         {
           role: "user",
           content: `Create base descriptions for:
 ${params.avatarMode === 'animal' ? `Avatar: ANIMAL\nSpecies: ${params.animal?.species}\nAnthropomorphic: ${params.animal?.anthropomorphic ? 'Yes' : 'No'}\nVoice Style: ${params.animal?.voiceStyle || 'narrator'}` : `Age: ${params.ageRange}\nGender: ${params.gender}`}
+${describeCharacter(params)}
 Setting Mode: ${params.settingMode || 'single'}
 ${params.settingMode === 'single' ? `Room: ${params.room}` : `Locations: ${params.locations?.join(', ') || 'various'}`}
 Style: ${params.style}
@@ -230,7 +163,6 @@ Time of Day: ${params.timeOfDay || 'morning'}
 Background Life: ${params.backgroundLife ? 'Yes' : 'No'}
 Product Display: ${params.productStyle || 'natural'}
 Energy Arc: ${params.energyArc || 'consistent'}
-Narrative Style: ${params.narrativeStyle || 'direct-review'}
 
 Return a JSON object with these exact keys:
 ${params.avatarMode === 'animal' ? `{
@@ -249,80 +181,73 @@ ${params.avatarMode === 'animal' ? `{
   "productHandling": "[50+ words - How character naturally handles/displays the product based on ${params.productStyle} style]"
 }`}
 
-These descriptions must be detailed enough to use word-for-word across all segments. For mixed locations, focus on elements that remain consistent throughout the home.`
+These descriptions must be detailed enough to use word-for-word across all segments. For mixed locations, focus on elements that remain consistent throughout the home.
+The appearance, clothing and voice must reflect every character detail given above (ethnicity, features, clothing details, accent, voice type, energy and narrative style).`
         }
       ],
       response_format: { type: "json_object" },
       temperature: 0.3,
       max_tokens: 4500
-      });
+      }, params.stepSettings);
       
       console.log('[OpenAI] API response received');
       const parsed = JSON.parse(response.choices[0].message.content);
       console.log('[OpenAI] Base descriptions parsed successfully');
-      return parsed;
+      return await ensureWordMinimums(this.llm, parsed, this.baseDescriptionMinimums(params), { settings: params.stepSettings, logPrefix: '[OpenAI]' });
     } catch (error) {
       console.error('[OpenAI] Error in generateBaseDescriptions:', error);
       throw error;
     }
   }
 
+  // Word minimums requested from generateBaseDescriptions, per field
+  baseDescriptionMinimums(params) {
+    const isEnhanced = params.jsonFormat === 'enhanced';
+    const shared = {
+      environment: isEnhanced ? 250 : 150,
+      productHandling: 50
+    };
+
+    if (params.avatarMode === 'animal') {
+      return {
+        animal_physical: 180,
+        animal_behavior: 150,
+        animal_voice: 120,
+        lip_sync_baseline: 100,
+        realism_rendering: 120,
+        ...shared
+      };
+    }
+    return {
+      physical: isEnhanced ? 200 : 100,
+      clothing: isEnhanced ? 150 : 100,
+      voice: isEnhanced ? 100 : 50,
+      ...shared
+    };
+  }
+
   async generateSegment(params) {
     try {
-      const isEnhanced = params.jsonFormat === 'enhanced';
-      const response = await this.openai.chat.completions.create({
-      model: "gpt-4o",
+      const prompt = await TemplateService.prompt('segment');
+      const variables = promptVariables(params, { energy: this.getSegmentEnergy(params) });
+      const { segment, validation } = await requestValidSegment(this.llm, {
       messages: [
         {
           role: "system",
-          content: `${params.template}\n\nGenerate a Veo 3 JSON segment following the exact structure. Use the provided base descriptions WORD-FOR-WORD.`
+          content: `${renderTemplate(params.template.content, variables)}\n\nGenerate a Veo 3 JSON segment following the exact structure. Use the provided base descriptions WORD-FOR-WORD.`
         },
         {
           role: "user",
-          content: `Create segment ${params.segmentNumber} of ${params.totalSegments}:
-
-Dialogue for this segment: "${params.scriptPart}"
-Product: ${params.product}
-Current Location: ${params.currentLocation}
-${params.previousLocation && params.previousLocation !== params.currentLocation ? `Character just moved from: ${params.previousLocation}` : ''}
-${params.nextLocation && params.nextLocation !== params.currentLocation ? `Character will move to: ${params.nextLocation}` : ''}
-
-Visual Settings:
-- Camera Style: ${params.cameraStyle || 'static-handheld'}
-- Time of Day: ${params.timeOfDay || 'morning'}
-- Background Life: ${params.backgroundLife ? 'Include subtle background activity' : 'Focus only on character'}
-- Energy Level: ${this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments)}
-${params.avatarMode === 'animal' ? `- Realism: Photorealistic look with cinematic lighting, eye speculars, subtle motion blur, micro-fur dynamics.` : ''}
-
-Base Descriptions (USE EXACTLY AS PROVIDED):
-${params.avatarMode === 'animal' ? `Animal Physical: ${params.baseDescriptions.animal_physical}
-Animal Behavior: ${params.baseDescriptions.animal_behavior}
-Animal Voice: ${params.baseDescriptions.animal_voice}
-Lip-Sync Baseline: ${params.baseDescriptions.lip_sync_baseline}` : `Physical: ${params.baseDescriptions.physical}
-Clothing: ${params.baseDescriptions.clothing}
-Base Voice: ${params.baseDescriptions.voice}`}
-General Environment: ${params.baseDescriptions.environment}
-Product Handling: ${params.baseDescriptions.productHandling || 'Natural handling'}
-
-${params.previousSegment ? `Previous segment ended with:\nPosition: ${params.previousSegment.action_timeline.transition_prep}` : 'This is the opening segment.'}
-
-${params.avatarMode === 'animal' ? `Lip-Sync and Facial Acting Requirements:\n- Map mouth/jaw/muzzle shapes to visemes matching the line delivery.\n- Include a "lip_sync" section in action_timeline with a viseme_timeline covering 0:00-0:08 at ~0.5s granularity (e.g., {"0:00-0:01": "M/B/P closed", "0:01-0:02": "AA wide", ...}).\n- Include "eye_dynamics" with natural blink cadence (every 3-5s with occasional double-blink), micro saccades, and gaze shifts tied to emphasis.\n- Include "facial_acting" describing micro-expressions synchronized to meanings, jaw rotation degrees (approx), and tongue/teeth visibility rules where species-accurate.\n- Avoid cartoonish exaggeration; keep physically plausible for a real ${params.animal?.species || 'animal'}.` : ''}
-
-Generate the complete JSON with:
-1. segment_info (${isEnhanced ? 'with continuity_markers' : 'with overlap instructions'})
-2. character_description (${params.avatarMode === 'animal' ? 'using animal base descriptions + current state' : 'using base descriptions + current state'})
-3. scene_continuity (adapt base environment to current location: ${params.currentLocation})
-4. action_timeline (${isEnhanced ? 'with synchronized_actions, micro_expressions, breathing_rhythm' : 'synchronized with dialogue'})
-${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, and character_description should include facial_acting details.' : '5. Include natural movement/transition if location changes'}`
+          content: renderTemplate(prompt.content, variables)
         }
       ],
       response_format: { type: "json_object" },
       temperature: 0.5,
       max_tokens: 4500
-      });
+      }, { schema: segmentSchemaFor(params), requiredFields: params.requiredFields, settings: params.stepSettings, logPrefix: '[OpenAI]' });
       
-      const parsed = JSON.parse(response.choices[0].message.content);
-      return parsed;
+      params.validationLog?.record(params.segmentNumber, validation);
+      return segment;
     } catch (error) {
       console.error('[OpenAI] Error in generateSegment:', error);
       throw error;
@@ -333,16 +258,25 @@ ${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, an
     return `${(params.avatarMode==='animal'?params.animal?.species:'human')}_${params.gender || 'N/A'}_${params.ageRange || 'N/A'}_${Date.now()}`.replace(/\s+/g, '_');
   }
 
-  async generateSegmentsWithVoiceProfile(params) {
+  async generateSegmentsWithVoiceProfile(params, { onProgress = () => {}, run = null } = {}) {
     console.log('[OpenAI] Generating ALL segments with voice profile focus');
     
     // Step 1: Generate first segment with full detail
-    const firstSegmentParams = { ...params, jsonFormat: 'enhanced' };
-    const template = await this.loadTemplate('enhanced');
+    const template = await this.loadTemplate('enhanced', params.templateId);
+    // The remaining segments follow the requested format
+    const continuationTemplate = await this.loadTemplate(params.jsonFormat, params.templateId);
+    const segmentPrompts = [await TemplateService.prompt('segment'), await TemplateService.prompt('continuation-style-segment')];
     
     // Split script into segments
-    const scriptSegments = await this.splitScript(params.script);
+    const split = await checkpoint(run, 'split', () =>
+      splitScript(params.script, { ...params.splitOptions, logPrefix: '[OpenAI]' })
+    );
+    const scriptSegments = split.segments.map(s => s.text);
     console.log('[OpenAI] Script split into', scriptSegments.length, 'segments');
+    onProgress({ step: 'split', total: scriptSegments.length });
+    // Prompts see the script as spoken, without directives or break markers
+    params = { ...params, script: split.spokenScript, stepSettings: createStepSettings(params.llmSettings) };
+    run?.trackUsage(params.stepSettings.usage);
     
     // Prepare location data (same as standard mode)
     let locations = [];
@@ -354,28 +288,52 @@ ${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, an
         locations.push(locations[locations.length - 1] || 'living room');
       }
     }
+    // Inline [location: ...] directives override the per-segment location
+    locations = locations.map((location, i) => split.segments[i]?.directives.location || location);
     
     // Generate base descriptions (for first segment)
+    // A picked template keeps its own format for the first segment too
+    const firstSegmentParams = { ...params, jsonFormat: params.templateId ? params.jsonFormat : 'enhanced' };
     console.log('[OpenAI] Generating base descriptions...');
-    const baseDescriptions = await this.generateBaseDescriptions(firstSegmentParams, template);
+    onProgress({ step: 'base-descriptions', total: scriptSegments.length });
+    const baseDescriptions = await checkpoint(run, 'base-descriptions', () =>
+      this.generateBaseDescriptions(firstSegmentParams, template)
+    );
+    
+    // The first segment is always enhanced; the rest follow the requested format
+    const validationLog = createValidationLog(
+      i => (i === 0 ? segmentSchemaFor(firstSegmentParams) : segmentSchemaFor(params)),
+      params.requiredFields
+    );
     
     // Generate first segment with full detail
     console.log('[OpenAI] Generating first segment with full detail...');
-    const firstSegment = await this.generateSegment({
-      segmentNumber: 1,
-      totalSegments: scriptSegments.length,
-      scriptPart: scriptSegments[0],
-      baseDescriptions,
-      previousSegment: null,
-      template,
-      currentLocation: locations[0],
-      previousLocation: null,
-      nextLocation: locations.length > 1 ? locations[1] : null,
-      ...firstSegmentParams
-    });
+    onProgress({ step: 'segment', current: 1, total: scriptSegments.length });
+    const firstSegment = await checkpoint(run, segmentStep(1), async () => attachDirectives(
+      await this.generateSegment({
+        segmentNumber: 1,
+        totalSegments: scriptSegments.length,
+        scriptPart: scriptSegments[0],
+        directives: split.segments[0].directives,
+        baseDescriptions,
+        previousSegment: null,
+        template,
+        validationLog,
+        currentLocation: locations[0],
+        previousLocation: null,
+        nextLocation: locations.length > 1 ? locations[1] : null,
+        ...firstSegmentParams
+      }),
+      split.segments[0].directives
+    ));
+    
+    onProgress({ step: 'segment', current: 1, total: scriptSegments.length, segment: firstSegment });
     
     // Extract voice profile from first segment
-    const voiceProfile = await this.extractDetailedVoiceProfile(firstSegment, params);
+    onProgress({ step: 'voice-profile', total: scriptSegments.length });
+    const voiceProfile = await checkpoint(run, 'voice-profile', () =>
+      this.extractDetailedVoiceProfile(firstSegment, params)
+    );
     
     // Generate remaining segments with voice/behavior focus
     const segments = [firstSegment];
@@ -383,27 +341,52 @@ ${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, an
     
     for (let i = 1; i < scriptSegments.length; i++) {
       console.log(`[OpenAI] Generating segment ${i + 1}/${scriptSegments.length}`);
-      const segment = await this.generateContinuationStyleSegment({
-        segmentNumber: i + 1,
-        totalSegments: scriptSegments.length,
-        scriptPart: scriptSegments[i],
-        baseDescriptions,
-        previousSegment: segments[i - 1],
-        voiceProfile,
-        currentLocation: locations[i],
-        previousLocation: i > 0 ? locations[i - 1] : null,
-        nextLocation: i < locations.length - 1 ? locations[i + 1] : null,
-        ...params
-      });
+      onProgress({ step: 'segment', current: i + 1, total: scriptSegments.length });
+      const segment = await checkpoint(run, segmentStep(i + 1), async () => attachDirectives(
+        await this.generateContinuationStyleSegment({
+          segmentNumber: i + 1,
+          totalSegments: scriptSegments.length,
+          scriptPart: scriptSegments[i],
+          directives: split.segments[i].directives,
+          baseDescriptions,
+          previousSegment: segments[i - 1],
+          voiceProfile,
+          template: continuationTemplate,
+          validationLog,
+          currentLocation: locations[i],
+          previousLocation: i > 0 ? locations[i - 1] : null,
+          nextLocation: i < locations.length - 1 ? locations[i + 1] : null,
+          ...params
+        }),
+        split.segments[i].directives
+      ));
       segments.push(segment);
+      onProgress({ step: 'segment', current: i + 1, total: scriptSegments.length, segment });
     }
     
+    const dialogue = enforceDialogue(segments, scriptSegments, { policy: params.dialoguePolicy, script: params.script });
+    console.log(`[OpenAI] Dialogue mismatches in ${dialogue.mismatchedSegments.length} segments (${dialogue.policy}); script ${dialogue.script.matches ? 'matches' : 'differs'}`);
+    const drift = enforceBaseDescriptions(segments, baseDescriptions, { policy: params.driftPolicy, avatarMode: params.avatarMode });
+    console.log(`[OpenAI] Base description drift in ${drift.driftedSegments.length} segments (${drift.policy})`);
+    if (run) await run.savePrompts(params.stepSettings.prompts);
+    
     return {
       segments,
       metadata: {
         totalSegments: segments.length,
-        estimatedDuration: segments.length * 8,
-        characterId: this.generateCharacterId(params)
+        estimatedDuration: segments.length * split.options.clipSeconds,
+        characterId: this.generateCharacterId(params),
+        split,
+        baseDescriptionWords: wordCountReport(baseDescriptions, this.baseDescriptionMinimums(firstSegmentParams)),
+        baseDescriptionDrift: drift,
+        dialogue,
+        validation: validationLog.report(segments),
+        templates: [template, continuationTemplate, ...segmentPrompts]
+          .filter((entry, i, all) => all.findIndex(other => other.id === entry.id) === i)
+          .map(entry => TemplateService.describe(entry)),
+        prompts: params.stepSettings.prompts.report(),
+        llmSettings: params.stepSettings.report(),
+        llmUsage: params.stepSettings.usage.report()
       },
       voiceProfile
     };
@@ -424,6 +407,8 @@ ${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, an
       personality: {
         voiceType: params.voiceType || 'warm-friendly',
         energyLevel: params.energyLevel || '80',
+        accentRegion: params.accentRegion || 'neutral-american',
+        narrativeStyle: params.narrativeStyle || 'direct-review',
         naturalQualities: []
       },
       continuityMarkers: {
@@ -435,8 +420,7 @@ ${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, an
 
     // Generate more detailed voice characteristics using GPT
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const response = await this.llm.chat('voice-profile', {
         messages: [
           {
             role: "system",
@@ -445,8 +429,8 @@ ${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, an
           {
             role: "user",
             content: `Create detailed voice profile for:
-${params.avatarMode === 'animal' ? `Animal Species: ${params.animal?.species}\nVoice Style: ${params.animal?.voiceStyle || 'narrator'}\nAnthropomorphic: ${params.animal?.anthropomorphic ? 'Yes' : 'No'}` : `Age: ${params.ageRange}\nGender: ${params.gender}\nVoice Type: ${params.voiceType}`}
-Energy Level: ${params.energyLevel}%
+${params.avatarMode === 'animal' ? `Animal Species: ${params.animal?.species}\nVoice Style: ${params.animal?.voiceStyle || 'narrator'}\nAnthropomorphic: ${params.animal?.anthropomorphic ? 'Yes' : 'No'}` : `Age: ${params.ageRange}\nGender: ${params.gender}`}
+${describeCharacter(params)}
 Script Sample: "${segment.action_timeline?.dialogue || params.script}"
 
 Return a JSON object with:
@@ -461,7 +445,7 @@ Return a JSON object with:
     "warmth": "[how friendliness manifests]"
   },
   "uniqueMarkers": ["list of specific characteristics"],
-  "regionalAccent": "[if applicable]",
+  "regionalAccent": "[matching the accent/region above]",
   "vocalTexture": "[smooth, raspy, clear, etc]"
 }`
           }
@@ -469,7 +453,7 @@ Return a JSON object with:
         response_format: { type: "json_object" },
         temperature: 0.3,
         max_tokens: 1000
-      });
+      }, params.stepSettings);
 
       const enhancedProfile = JSON.parse(response.choices[0].message.content);
       voiceProfile.technical = { ...voiceProfile.technical, ...enhancedProfile };
@@ -484,40 +468,29 @@ Return a JSON object with:
 
   async generateContinuationSegment(params) {
     console.log('[OpenAI] Generating continuation segment');
-    const templatePath = path.join(__dirname, '../../instructions/veo3-continuation-minimal.md');
-    const template = await fs.readFile(templatePath, 'utf8');
+    const template = await TemplateService.load(params.templateId || 'veo3-continuation-minimal');
+    const prompt = await TemplateService.prompt('continuation-segment');
+    const variables = promptVariables(params, { dialogue: params.script });
     
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const { segment, validation } = await requestValidSegment(this.llm, {
         messages: [
           {
             role: "system",
-            content: `${template}\n\nGenerate a continuation segment with MINIMAL description but DETAILED voice and behavior specs. Allow animal avatar narration when avatarMode=animal.`
+            content: `${renderTemplate(template.content, variables)}\n\nGenerate a continuation segment with MINIMAL description but DETAILED voice and behavior specs. Allow animal avatar narration when avatarMode=animal.`
           },
           {
             role: "user",
-            content: `Create a continuation segment:
-
-Image Context: Character from screenshot at ${params.imageUrl}
-Previous Dialogue: "${params.previousSegment?.action_timeline?.dialogue || 'N/A'}"
-New Dialogue: "${params.script}"
-Product: ${params.product}
-
-${params.avatarMode === 'animal' ? `Avatar: ANIMAL\nSpecies: ${params.animal?.species}\nVoice Style: ${params.animal?.voiceStyle || 'narrator'}\nAnthropomorphic: ${params.animal?.anthropomorphic ? 'Yes' : 'No'}` : ''}
-
-Voice Profile to Match EXACTLY:
-${JSON.stringify(params.voiceProfile, null, 2)}
-
-Generate the JSON following the continuation minimal structure.`
+            content: renderTemplate(prompt.content, variables)
           }
         ],
         response_format: { type: "json_object" },
         temperature: 0.4,
         max_tokens: 3000
-      });
+      }, { step: 'continuation', schema: 'continuation-minimal', requiredFields: params.requiredFields, settings: params.stepSettings, logPrefix: '[OpenAI]' });
       
-      const segment = JSON.parse(response.choices[0].message.content);
+      // The continuation route renders a single segment
+      params.validationLog?.record(1, validation);
       
       if (segment.character_description) {
         segment.character_description.voice_matching = params.voiceProfile.baseVoice;
@@ -543,61 +516,27 @@ Generate the JSON following the continuation minimal structure.`
 
   async generateContinuationStyleSegment(params) {
     console.log('[OpenAI] Generating continuation-style segment');
-    const template = await this.loadTemplate(params.jsonFormat || 'standard');
     
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const prompt = await TemplateService.prompt('continuation-style-segment');
+      const variables = promptVariables(params, { energy: this.getSegmentEnergy(params) });
+      const { segment, validation } = await requestValidSegment(this.llm, {
         messages: [
           {
             role: "system",
-            content: `${template}\n\nGenerate a segment that maintains the EXACT same structure as standard segments, but with ENHANCED voice and behavior sections. Support animal avatar narration when avatarMode=animal.`
+            content: `${renderTemplate(params.template.content, variables)}\n\nGenerate a segment that maintains the EXACT same structure as standard segments, but with ENHANCED voice and behavior sections. Support animal avatar narration when avatarMode=animal.`
           },
           {
             role: "user",
-            content: `Create segment ${params.segmentNumber} of ${params.totalSegments}:
-
-Dialogue for this segment: "${params.scriptPart}"
-Product: ${params.product}
-Current Location: ${params.currentLocation}
-${params.previousLocation && params.previousLocation !== params.currentLocation ? `Character just moved from: ${params.previousLocation}` : ''}
-${params.nextLocation && params.nextLocation !== params.currentLocation ? `Character will move to: ${params.nextLocation}` : ''}
-
-Visual Settings:
-- Camera Style: ${params.cameraStyle || 'static-handheld'}
-- Time of Day: ${params.timeOfDay || 'morning'}
-- Background Life: ${params.backgroundLife ? 'Include subtle background activity' : 'Focus only on character'}
-- Energy Level: ${this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments)}
-
-Base Descriptions (USE EXACTLY AS PROVIDED):
-${params.avatarMode === 'animal' ? `Animal Physical: ${params.baseDescriptions.animal_physical}
-Animal Behavior: ${params.baseDescriptions.animal_behavior}
-Animal Voice: ${params.baseDescriptions.animal_voice}` : `Physical: ${params.baseDescriptions.physical}
-Clothing: ${params.baseDescriptions.clothing}
-Base Voice: ${params.baseDescriptions.voice}`}
-General Environment: ${params.baseDescriptions.environment}
-Product Handling: ${params.baseDescriptions.productHandling || 'Natural handling'}
-
-Voice Profile to Maintain:
-${JSON.stringify(params.voiceProfile, null, 2)}
-
-${params.previousSegment ? `Previous segment ended with:
-Position: ${params.previousSegment.action_timeline?.transition_prep || params.previousSegment.segment_info?.continuity_markers?.end_position}` : ''}
-
-CRITICAL REQUIREMENTS:
-1. Generate the complete JSON with standard structure
-2. character_description.voice_matching must be MINIMUM 100 words focusing on maintaining exact voice consistency (adapt for animal narrator)
-3. Include a new "behavioral_consistency" field in character_description with MINIMUM 100 words on gesture patterns and movement style (or animal movement cues)
-4. All other fields follow standard format
-5. Maintain continuity from previous segment`
+            content: renderTemplate(prompt.content, variables)
           }
         ],
         response_format: { type: "json_object" },
         temperature: 0.5,
         max_tokens: 4000
-      });
+      }, { schema: segmentSchemaFor(params), requiredFields: params.requiredFields, settings: params.stepSettings, logPrefix: '[OpenAI]' });
       
-      const segment = JSON.parse(response.choices[0].message.content);
+      params.validationLog?.record(params.segmentNumber, validation);
       
       if (segment.character_description) {
         if (!segment.character_description.voice_matching || segment.character_description.voice_matching.length < 100) {
@@ -616,6 +555,13 @@ CRITICAL REQUIREMENTS:
     }
   }
 
+  getSegmentEnergy(params) {
+    if (params.directives?.energy) {
+      return `${params.directives.energy} - Set by script directive`;
+    }
+    return this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments);
+  }
+
   getEnergyLevel(energyArc, segmentNumber, totalSegments) {
     const progress = segmentNumber / totalSegments;
     
@@ -1,10 +1,17 @@
-import OpenAI from 'openai';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { splitScript } from '../../utils/scriptSplitter.js';
+import { attachDirectives } from '../../utils/scriptDirectives.js';
+import { checkpoint, segmentStep } from '../../utils/runStore.js';
+import { resolveConcurrency, renderWithHandoffs } from '../../utils/continuity.js';
+import { requestValidSegment, segmentSchemaFor, createValidationLog } from '../../utils/segmentSchemas.js';
+import { ensureWordMinimums, wordCountReport } from '../../utils/baseDescriptions.js';
+import { enforceBaseDescriptions } from '../../utils/baseConsistency.js';
+import { enforceDialogue } from '../../utils/dialogueFidelity.js';
+import { describeCharacter } from '../../utils/characterGuidance.js';
+import { createStepSettings } from '../../utils/llmSettings.js';
+import { mergeUsageReports } from '../../utils/llmUsage.js';
+import { renderTemplate, promptVariables } from '../../utils/templateEngine.js';
+import LLMProvider from './llmProvider.js';
+import TemplateService from './templateService.js';
 
 // Simple realism helpers
 const INDOOR_LOCATIONS = new Set([
@@ -76,213 +83,257 @@ function sanitizeSegmentForPlausibility(segment) {
 
 class OpenAIServicePlus {
   constructor() {
-    try {
-      const apiKey = process.env.OPENAI_API_KEY;
-      const projectId = process.env.OPENAI_PROJECT_ID;
-
-      console.log('Attempting to initialize OpenAI Plus client...');
-      console.log(`API Key loaded: ${apiKey ? `sk-...${apiKey.slice(-4)}` : 'Not found'}`);
-      console.log(`Project ID loaded: ${projectId || 'Not found'}`);
-
-      if (!apiKey) {
-        throw new Error('OPENAI_API_KEY environment variable is missing or empty.');
-      }
+    // Chat completions go through the configured provider (OpenAI,
+    // OpenAI-compatible or mock), so the service loads without an API key
+    this.llm = LLMProvider;
+    this.templateInstructions = null;
+  }
 
-      this.openai = new OpenAI({
-        apiKey: apiKey,
-        project: projectId,
-      });
+  // A template picked by id (see TemplateService) replaces the default for the format
+  async loadTemplate(format = 'standard', templateId = null) {
+    const id = templateId || (format === 'enhanced' ? 'veo3-enhanced-continuity-plus' : 'veo3-json-guidelines-plus');
+    console.log(`[OpenAI Plus] Loading template: ${id}`);
+    return TemplateService.load(id);
+  }
 
-      console.log('OpenAI Plus client initialized successfully.');
-      this.templateInstructions = null;
-    } catch (error) {
-      console.error('Failed to initialize OpenAI Plus client:', error);
-      throw error; // Re-throw the error to crash the application as it's a critical failure
-    }
+  async generateSegments(params, { onProgress = () => {}, run = null } = {}) {
+    // One set of step settings covers both phases, so metadata lists every step
+    params = { ...params, stepSettings: createStepSettings(params.llmSettings) };
+    run?.trackUsage(params.stepSettings.usage);
+    // The plan holds the AI-inferred locations and cameras, so it is persisted
+    // with the run and reused on resume
+    const { plan, split } = await checkpoint(run, 'plan', () => this.buildPlan(params, { onProgress }));
+    const result = await this.renderPlan({ ...params, script: split.spokenScript }, plan, { onProgress, run });
+    result.metadata.split = split;
+    return result;
   }
 
-  async loadTemplate(format = 'standard') {
-    const filename = format === 'enhanced' 
-      ? 'veo3-enhanced-continuity-plus.md' 
-      : 'veo3-json-guidelines-plus.md';
-    
-    const templatePath = path.join(__dirname, '../../instructions/', filename);
-    console.log(`[OpenAI Plus] Loading template: ${filename}`);
-    
-    return await fs.readFile(templatePath, 'utf8');
+  // Phase one: split the script and resolve every per-segment decision
+  // (location, camera, energy, time of day, transitions) without rendering.
+  // The plan carries the token usage of its inference calls in `llmUsage`;
+  // renderPlan adds it to the usage of the render, so callers must set it
+  // from a server-side record, never from a plan a client sent back.
+  async planSegments(params, { onProgress = () => {} } = {}) {
+    const stepSettings = createStepSettings(params.llmSettings);
+    const { plan } = await this.buildPlan({ ...params, stepSettings }, { onProgress });
+    return { ...plan, llmUsage: stepSettings.usage.report() };
   }
 
-  async generateSegments(params) {
-    console.log('[OpenAI Plus] Starting generation with format:', params.jsonFormat || 'standard');
-    console.log('[OpenAI Plus] Setting mode:', params.settingMode || 'single');
-    const template = await this.loadTemplate(params.jsonFormat);
-    
-    const scriptSegments = await this.splitScript(params.script);
-    console.log('[OpenAI Plus] Script split into', scriptSegments.length, 'segments');
-    
+  async buildPlan(params, { onProgress = () => {} } = {}) {
+    console.log('[OpenAI Plus] Planning with setting mode:', params.settingMode || 'single');
+    const stepSettings = params.stepSettings || createStepSettings(params.llmSettings);
+    const split = splitScript(params.script, { ...params.splitOptions, logPrefix: '[OpenAI Plus]' });
+    const count = split.segments.length;
+    console.log('[OpenAI Plus] Script split into', count, 'segments');
+    onProgress({ step: 'split', total: count });
+
+    onProgress({ step: 'plan', total: count });
     let locations = [];
     if (params.settingMode === 'ai-inspired') {
       locations = await this.inferLocationsFromScript({
-        script: params.script,
-        desiredCount: scriptSegments.length,
+        script: split.spokenScript,
+        desiredCount: count,
         product: params.product,
-        style: params.style
+        style: params.style,
+        stepSettings
       });
     } else if (params.settingMode === 'single') {
-      locations = Array(scriptSegments.length).fill(params.room);
+      locations = Array(count).fill(params.room);
     } else {
-      locations = params.locations || [];
-      while (locations.length < scriptSegments.length) {
+      locations = [...(params.locations || [])];
+      while (locations.length < count) {
         locations.push(locations[locations.length - 1] || 'living room');
       }
     }
-    
+
+    let cameras = Array(count).fill(params.cameraStyle || 'static-handheld');
+    if (params.cameraStyle === 'ai-inspired') {
+      cameras = await this.inferCameraFromScript({
+        script: split.spokenScript,
+        desiredCount: count,
+        product: params.product,
+        style: params.style,
+        stepSettings
+      });
+    }
+
+    // Inline directives override whatever was inferred or selected
+    locations = locations.map((location, i) => split.segments[i].directives.location || location);
+    cameras = cameras.map((camera, i) => split.segments[i].directives.camera || camera);
     console.log('[OpenAI Plus] Locations resolved:', locations);
-    
+
+    const segments = split.segments.map((segment, i) => ({
+      segmentNumber: i + 1,
+      dialogue: segment.text,
+      wordCount: segment.wordCount,
+      estimatedSeconds: segment.estimatedSeconds,
+      location: locations[i],
+      // The location the transition notes were written for
+      plannedLocation: locations[i],
+      camera: cameras[i],
+      energy: this.getSegmentEnergy({
+        energyArc: params.energyArc,
+        segmentNumber: i + 1,
+        totalSegments: count,
+        directives: segment.directives
+      }),
+      timeOfDay: params.timeOfDay || 'morning',
+      emotion: segment.directives.emotion || '',
+      productInteraction: segment.directives.product || '',
+      transition: this.describeTransition(locations, i),
+      directives: segment.directives
+    }));
+
+    return {
+      plan: {
+        segments,
+        options: split.options,
+        totalWords: split.totalWords,
+        estimatedDuration: split.estimatedDuration
+      },
+      split
+    };
+  }
+
+  describeTransition(locations, index) {
+    const current = locations[index];
+    const previous = locations[index - 1];
+    const next = locations[index + 1];
+    const notes = [];
+
+    if (index === 0) {
+      notes.push(`Opens in the ${current}`);
+    } else if (previous !== current) {
+      notes.push(`Cut from the ${previous} to the ${current}; start settled in the new location`);
+    } else {
+      notes.push(`Continues in the ${current} from the previous position`);
+    }
+
+    if (!next) {
+      notes.push('closing segment, hold the final position');
+    } else if (next !== current) {
+      notes.push(`next segment moves to the ${next}, end on a stable hold`);
+    }
+
+    return notes.join('; ');
+  }
+
+  // Phase two: render the segments exactly as planned; nothing is re-split
+  // or re-inferred, so edits to the plan are honoured verbatim. `params.script`
+  // is the spoken script the segment dialogue is checked against: the
+  // request's script for generate-plus, the plan's dialogue for render-plan.
+  async renderPlan(params, plan, { onProgress = () => {}, run = null } = {}) {
+    console.log('[OpenAI Plus] Rendering plan with format:', params.jsonFormat || 'standard');
+    const template = await this.loadTemplate(params.jsonFormat, params.templateId);
+    const segmentPrompt = await TemplateService.prompt('segment-plus');
+    const planned = plan.segments;
+    const locations = planned.map(entry => entry.location);
+    const plannedLocations = planned.map(entry => entry.plannedLocation || entry.location);
+    // A transition is re-derived when blank or still the note derived from the
+    // planned locations, so a changed location gets a matching transition; a
+    // hand-written one is kept
+    const transitionFor = (entry, i) =>
+      !entry.transition || entry.transition === this.describeTransition(plannedLocations, i)
+        ? this.describeTransition(locations, i)
+        : entry.transition;
+    params = {
+      ...params,
+      locations,
+      stepSettings: params.stepSettings || createStepSettings(params.llmSettings)
+    };
+    run?.trackUsage(params.stepSettings.usage);
+
     console.log('[OpenAI Plus] Generating base descriptions...');
-    const baseDescriptions = await this.generateBaseDescriptions({ ...params, locations }, template);
+    onProgress({ step: 'base-descriptions', total: planned.length });
+    const baseDescriptions = await checkpoint(run, 'base-descriptions', () =>
+      this.generateBaseDescriptions(params, template)
+    );
     console.log('[OpenAI Plus] Base descriptions generated');
-    
-    const segments = [];
-    console.log('[OpenAI Plus] Generating individual segments...');
-    for (let i = 0; i < scriptSegments.length; i++) {
-      console.log(`[OpenAI Plus] Generating segment ${i + 1}/${scriptSegments.length}`);
-      const segment = await this.generateSegment({
+
+    const validationLog = createValidationLog(segmentSchemaFor(params), params.requiredFields);
+    const renderSegment = async (i, previousSegment, handoff = null) => {
+      const entry = planned[i];
+      const generated = await this.generateSegment({
+        ...params,
         segmentNumber: i + 1,
-        totalSegments: scriptSegments.length,
-        scriptPart: scriptSegments[i],
+        totalSegments: planned.length,
+        scriptPart: entry.dialogue,
         baseDescriptions,
-        previousSegment: segments[i - 1] || null,
+        previousSegment,
+        handoff,
         template,
-        currentLocation: locations[i],
+        validationLog,
+        currentLocation: entry.location,
         previousLocation: i > 0 ? locations[i - 1] : null,
         nextLocation: i < locations.length - 1 ? locations[i + 1] : null,
-        ...params
+        camera: entry.camera,
+        energy: entry.energy,
+        timeOfDay: entry.timeOfDay || params.timeOfDay,
+        emotion: entry.emotion,
+        productInteraction: entry.productInteraction,
+        transition: transitionFor(entry, i)
       });
-      segments.push(sanitizeSegmentForPlausibility(segment));
+      return attachDirectives(sanitizeSegmentForPlausibility(generated), entry.directives);
+    };
+
+    const concurrency = resolveConcurrency(params.concurrency);
+    let segments = [];
+    let continuity;
+    if (concurrency > 1) {
+      ({ segments, continuity } = await renderWithHandoffs({
+        llm: this.llm,
+        settings: params.stepSettings,
+        run,
+        concurrency,
+        dialogues: planned.map(entry => entry.dialogue),
+        locations,
+        product: params.product,
+        render: renderSegment,
+        onProgress,
+        logPrefix: '[OpenAI Plus]'
+      }));
+    } else {
+      console.log('[OpenAI Plus] Generating individual segments...');
+      for (let i = 0; i < planned.length; i++) {
+        console.log(`[OpenAI Plus] Generating segment ${i + 1}/${planned.length}`);
+        onProgress({ step: 'segment', current: i + 1, total: planned.length });
+        const segment = await checkpoint(run, segmentStep(i + 1), () => renderSegment(i, segments[i - 1] || null));
+        segments.push(segment);
+        onProgress({ step: 'segment', current: i + 1, total: planned.length, segment });
+      }
     }
-    
+
+    const dialogue = enforceDialogue(segments, planned.map(entry => entry.dialogue), { policy: params.dialoguePolicy, script: params.script });
+    console.log(`[OpenAI Plus] Dialogue mismatches in ${dialogue.mismatchedSegments.length} segments (${dialogue.policy}); script ${dialogue.script.matches ? 'matches' : 'differs'}`);
+    const drift = enforceBaseDescriptions(segments, baseDescriptions, { policy: params.driftPolicy });
+    console.log(`[OpenAI Plus] Base description drift in ${drift.driftedSegments.length} segments (${drift.policy})`);
+    if (run) await run.savePrompts(params.stepSettings.prompts);
+
+    const clipSeconds = plan.options?.clipSeconds || 8;
     return {
       segments,
       metadata: {
         totalSegments: segments.length,
-        estimatedDuration: segments.length * 8,
-        characterId: this.generateCharacterId(params)
+        estimatedDuration: segments.length * clipSeconds,
+        characterId: this.generateCharacterId(params),
+        plan,
+        baseDescriptionWords: wordCountReport(baseDescriptions, this.baseDescriptionMinimums(params)),
+        baseDescriptionDrift: drift,
+        dialogue,
+        validation: validationLog.report(segments),
+        templates: [template, segmentPrompt].map(entry => TemplateService.describe(entry)),
+        prompts: params.stepSettings.prompts.report(),
+        llmSettings: params.stepSettings.report(),
+        llmUsage: mergeUsageReports(plan.llmUsage, params.stepSettings.usage.report()),
+        ...(continuity && { continuity })
       }
     };
   }
 
-  async splitScript(script) {
-    const wordsPerSecond = 150 / 60;
-    const minWordsFor6Seconds = 15;
-    const targetWordsFor8Seconds = 20;
-    const maxWordsFor8Seconds = 22;
-    
-    console.log('[OpenAI Plus] Script splitting parameters:', {
-      minWords: minWordsFor6Seconds,
-      targetWords: targetWordsFor8Seconds,
-      maxWords: maxWordsFor8Seconds
-    });
-    
-    const sentences = script.match(/[^.!?]+[.!?]+/g) || [script];
-    
-    const rawSegments = [];
-    let currentSegment = '';
-    let currentWordCount = 0;
-    
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i].trim();
-      const sentenceWords = sentence.split(/\s+/).length;
-      
-      if (currentSegment === '') {
-        currentSegment = sentence;
-        currentWordCount = sentenceWords;
-        
-        while (currentWordCount < minWordsFor6Seconds && i + 1 < sentences.length) {
-          i++;
-          const nextSentence = sentences[i].trim();
-          const nextWords = nextSentence.split(/\s+/).length;
-          
-          if (currentWordCount + nextWords > maxWordsFor8Seconds) {
-            if (currentWordCount < minWordsFor6Seconds) {
-              currentSegment += ' ' + nextSentence;
-              currentWordCount += nextWords;
-            } else {
-              i--;
-              break;
-            }
-          } else {
-            currentSegment += ' ' + nextSentence;
-            currentWordCount += nextWords;
-          }
-        }
-        
-        rawSegments.push(currentSegment);
-        currentSegment = '';
-        currentWordCount = 0;
-      }
-    }
-    
-    const finalSegments = [];
-    
-    for (let i = 0; i < rawSegments.length; i++) {
-      const segment = rawSegments[i];
-      const wordCount = segment.split(/\s+/).length;
-      const duration = wordCount / wordsPerSecond;
-      
-      console.log(`[OpenAI Plus] Raw segment ${i + 1}: ${wordCount} words, ~${duration.toFixed(1)}s speaking time`);
-      
-      if (wordCount < minWordsFor6Seconds && i < rawSegments.length - 1) {
-        const nextSegment = rawSegments[i + 1];
-        const nextWords = nextSegment.split(/\s+/).length;
-        
-        if (nextWords > minWordsFor6Seconds) {
-          const nextSentences = nextSegment.match(/[^.!?]+[.!?]+/g) || [nextSegment];
-          if (nextSentences.length > 1) {
-            const borrowedSentence = nextSentences[0];
-            const borrowedWords = borrowedSentence.split(/\s+/).length;
-            
-            if (wordCount + borrowedWords <= maxWordsFor8Seconds) {
-              finalSegments.push(segment + ' ' + borrowedSentence);
-              rawSegments[i + 1] = nextSentences.slice(1).join(' ');
-              continue;
-            }
-          }
-        }
-        
-        if (i < rawSegments.length - 1) {
-          const merged = segment + ' ' + rawSegments[i + 1];
-          const mergedWords = merged.split(/\s+/).length;
-          
-          if (mergedWords <= 30) {
-            finalSegments.push(merged);
-            i++;
-            continue;
-          }
-        }
-      }
-      
-      finalSegments.push(segment);
-    }
-    
-    console.log('[OpenAI Plus] Final segment distribution:');
-    finalSegments.forEach((segment, i) => {
-      const wordCount = segment.split(/\s+/).length;
-      const duration = wordCount / wordsPerSecond;
-      console.log(`  Segment ${i + 1}: ${wordCount} words, ~${duration.toFixed(1)}s speaking time`);
-      if (duration < 6) {
-        console.warn(`  ⚠️  Segment ${i + 1} is under 6 seconds!`);
-      }
-    });
-    
-    return finalSegments;
-  }
-
-  async inferLocationsFromScript({ script, desiredCount, product, style }) {
+  async inferLocationsFromScript({ script, desiredCount, product, style, stepSettings }) {
     console.log('[OpenAI Plus] Inferring locations from script');
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
+      const response = await this.llm.chat('location-inference', {
         messages: [
           {
             role: 'system',
@@ -296,7 +347,7 @@ class OpenAIServicePlus {
         response_format: { type: 'json_object' },
         temperature: 0.4,
         max_tokens: 500
-      });
+      }, stepSettings);
       const parsed = JSON.parse(response.choices[0].message.content);
       let locations = Array.isArray(parsed.locations) ? parsed.locations : [];
       locations = locations.map(l => String(l).toLowerCase());
@@ -309,11 +360,10 @@ class OpenAIServicePlus {
     }
   }
 
-  async inferCameraFromScript({ script, desiredCount, product, style }) {
+  async inferCameraFromScript({ script, desiredCount, product, style, stepSettings }) {
     console.log('[OpenAI Plus] Inferring camera directions from script');
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
+      const response = await this.llm.chat('camera-inference', {
         messages: [
           {
             role: 'system',
@@ -327,7 +377,7 @@ class OpenAIServicePlus {
         response_format: { type: 'json_object' },
         temperature: 0.5,
         max_tokens: 400
-      });
+      }, stepSettings);
       const parsed = JSON.parse(response.choices[0].message.content);
       let camera = Array.isArray(parsed.camera) ? parsed.camera : [];
       camera = camera.map(c => String(c));
@@ -344,22 +394,18 @@ class OpenAIServicePlus {
     console.log('[OpenAI Plus] Calling API for base descriptions');
     try {
       const isEnhanced = params.jsonFormat === 'enhanced';
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const response = await this.llm.chat('base-descriptions', {
         messages: [
           {
             role: "system",
-            content: `${template}\n\nGenerate the base descriptions that will remain IDENTICAL across all segments. Follow the exact word count requirements. Return ONLY valid JSON. Absolutely forbid: subtitles, on-screen text, captions, SFX/sound effects, background music, soundtrack cues.`
+            content: `${renderTemplate(template.content, promptVariables(params))}\n\nGenerate the base descriptions that will remain IDENTICAL across all segments. Follow the exact word count requirements. Return ONLY valid JSON. Absolutely forbid: subtitles, on-screen text, captions, SFX/sound effects, background music, soundtrack cues.`
           },
           {
             role: "user",
             content: `Create base descriptions for:
 Age: ${params.ageRange}
 Gender: ${params.gender}
-Ethnicity/Appearance: ${params.ethnicity || 'unspecified'}
-Specific Features: ${params.characterFeatures || 'unspecified'}
-Clothing Details: ${params.clothingDetails || 'unspecified'}
-Accent/Region: ${params.accentRegion || 'neutral-american'}
+${describeCharacter(params)}
 Setting Mode: ${params.settingMode || 'single'}
 ${params.settingMode === 'single' ? `Room: ${params.room}` : `Locations: ${params.locations?.join(', ') || 'various'}`}
 Style: ${params.style}
@@ -369,7 +415,6 @@ Time of Day: ${params.timeOfDay || 'morning'}
 Background Life: ${params.backgroundLife ? 'Yes' : 'No'}
 Product Display: ${params.productStyle || 'natural'}
 Energy Arc: ${params.energyArc || 'consistent'}
-Narrative Style: ${params.narrativeStyle || 'direct-review'}
 
 Return a JSON object with these exact keys:
 {
@@ -386,100 +431,53 @@ Hard rules: Do NOT reference subtitles, captions, SFX, or music in any field.`
         response_format: { type: "json_object" },
         temperature: 0.3,
         max_tokens: 5000
-      });
+      }, params.stepSettings);
       
       console.log('[OpenAI Plus] API response received');
       const parsed = JSON.parse(response.choices[0].message.content);
       console.log('[OpenAI Plus] Base descriptions parsed successfully');
-      return parsed;
+      return await ensureWordMinimums(this.llm, parsed, this.baseDescriptionMinimums(params), { settings: params.stepSettings, logPrefix: '[OpenAI Plus]' });
     } catch (error) {
       console.error('[OpenAI Plus] Error in generateBaseDescriptions:', error);
       throw error;
     }
   }
 
+  // Word minimums requested from generateBaseDescriptions, per field
+  baseDescriptionMinimums(params) {
+    const isEnhanced = params.jsonFormat === 'enhanced';
+    return {
+      physical: 250,
+      clothing: 150,
+      environment: isEnhanced ? 250 : 150,
+      voice: isEnhanced ? 100 : 50,
+      productHandling: 50
+    };
+  }
+
   async generateSegment(params) {
     try {
-      const isEnhanced = params.jsonFormat === 'enhanced';
-
-      // Resolve camera per segment when cameraStyle == ai-inspired
-      let cameraStyle = params.cameraStyle;
-      if (cameraStyle === 'ai-inspired') {
-        if (!params._inferredCamera) {
-          params._inferredCamera = await this.inferCameraFromScript({
-            script: params.script,
-            desiredCount: params.totalSegments,
-            product: params.product,
-            style: params.style
-          });
-        }
-        cameraStyle = params._inferredCamera[params.segmentNumber - 1] || 'static-handheld';
-      }
+      const prompt = await TemplateService.prompt('segment-plus');
+      const variables = promptVariables(params);
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const { segment, validation } = await requestValidSegment(this.llm, {
         messages: [
           {
             role: "system",
-            content: `${params.template}\n\nGenerate a Veo 3 JSON segment following the exact structure. Use the provided base descriptions WORD-FOR-WORD. Do not include or imply subtitles, on-screen text, captions, SFX/sound effects, background music, or soundtrack cues.`
+            content: `${renderTemplate(params.template.content, variables)}\n\nGenerate a Veo 3 JSON segment following the exact structure. Use the provided base descriptions WORD-FOR-WORD. Do not include or imply subtitles, on-screen text, captions, SFX/sound effects, background music, or soundtrack cues.`
           },
           {
             role: "user",
-            content: `Create segment ${params.segmentNumber} of ${params.totalSegments}:
-
-Dialogue for this segment: "${params.scriptPart}"
-Product: ${params.product}
-Current Location: ${params.currentLocation}
-${params.previousLocation && params.previousLocation !== params.currentLocation ? `Character just moved from: ${params.previousLocation}` : ''}
-${params.nextLocation && params.nextLocation !== params.currentLocation ? `Character will move to: ${params.nextLocation}` : ''}
-
-Visual Settings:
-- Camera Style: ${cameraStyle}
-- Time of Day: ${params.timeOfDay || 'morning'}
-- Background Life: ${params.backgroundLife ? 'Include subtle background activity' : 'Focus only on character'}
-- Energy Level: ${this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments)}
-
-Environment Realism Guardrails:
-- If location is INDOOR (living room, bedroom, bathroom, home office, kitchen, dining room, hallway, entryway, laundry room, walk-in closet): do NOT place outdoor-only equipment (solar panels, roof arrays, diesel generators) inside; instead reference "monitoring display", "wall controls" or "status panel".
-- Snow, rain, wind: only visible through windows indoors; not physically present in room.
-- Large fuel-powered generators and rooftop assets must be OUTDOORS only.
-- Prefer props that plausibly belong to the selected location.
-
-Base Descriptions (USE EXACTLY AS PROVIDED and DO NOT ALTER):
-Physical (250+ words): ${params.baseDescriptions.physical}
-Clothing (150+ words): ${params.baseDescriptions.clothing}
-General Style: ${params.baseDescriptions.environment}
-Base Voice: ${params.baseDescriptions.voice}
-Product Handling: ${params.baseDescriptions.productHandling || 'Natural handling'}
-
-Character Guidance (MUST NOT CONTRADICT BASE):
-- Ethnicity/Appearance: ${params.ethnicity || 'unspecified'}
-- Specific Features: ${params.characterFeatures || 'unspecified'}
-- Clothing Details: ${params.clothingDetails || 'unspecified'}
-- Accent/Region: ${params.accentRegion || 'neutral-american'}
-
-${params.previousSegment ? `Previous segment ended with:\nPosition: ${params.previousSegment.action_timeline.transition_prep}` : 'This is the opening segment.'}
-
-CRITICAL MOVEMENT RULE:
-- The character MUST NOT walk away or exit the frame at the end of the segment. Keep the character within frame; use a stationary or minimal-movement hold (e.g., maintains eye contact, subtle nod, gentle breath). Set transition_prep to reflect staying in place.
-
-Generate the complete JSON with:
-1. segment_info (${isEnhanced ? 'with continuity_markers' : 'with overlap instructions'})
-2. character_description (using base descriptions verbatim + current state; NEVER change base appearance)
-3. scene_continuity (adapt base environment to current location: ${params.currentLocation})
-4. action_timeline (${isEnhanced ? 'with synchronized_actions, micro_expressions, breathing_rhythm' : 'synchronized with dialogue'})
-5. Include natural movement/transition if location changes
-
-Hard rule: No subtitles/on-screen text/captions/SFX/music in any field.`
+            content: renderTemplate(prompt.content, variables)
           }
         ],
         response_format: { type: "json_object" },
         temperature: 0.5,
         max_tokens: 5000
-      });
+      }, { schema: segmentSchemaFor(params), requiredFields: params.requiredFields, settings: params.stepSettings, logPrefix: '[OpenAI Plus]' });
       
-      const parsed = JSON.parse(response.choices[0].message.content);
-      return parsed;
+      params.validationLog?.record(params.segmentNumber, validation);
+      return segment;
     } catch (error) {
       console.error('[OpenAI Plus] Error in generateSegment:', error);
       throw error;
@@ -490,6 +488,13 @@ Hard rule: No subtitles/on-screen text/captions/SFX/music in any field.`
     return `${params.gender}_${params.ageRange}_${Date.now()}_plus`.replace(/\s+/g, '_');
   }
 
+  getSegmentEnergy(params) {
+    if (params.directives?.energy) {
+      return `${params.directives.energy} - Set by script directive`;
+    }
+    return this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments);
+  }
+
   getEnergyLevel(energyArc, segmentNumber, totalSegments) {
     const progress = segmentNumber / totalSegments;
     
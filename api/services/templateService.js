@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { requiredFieldPaths } from '../../utils/segmentSchemas.js';
+import { TEMPLATE_VARIABLES, templateVariableNames } from '../../utils/templateEngine.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const instructionsDir = path.join(__dirname, '../../instructions');
+const promptsDir = path.join(instructionsDir, 'prompts');
+const customDir = path.join(__dirname, '../../templates');
+
+// JSON formats a template can target; each one has a segment schema
+export const TEMPLATE_FORMATS = ['standard', 'enhanced', 'continuation-minimal'];
+
+// Names and formats of the bundled instruction files. Any other .md file
+// dropped into instructions/ is listed too, named after its first heading.
+const BUILTIN_METADATA = {
+  'veo3-json-guidelines': { name: 'Veo 3 Standard', format: 'standard' },
+  'veo3-enhanced-continuity': { name: 'Veo 3 Enhanced Continuity', format: 'enhanced' },
+  'veo3-json-guidelines-plus': { name: 'Veo 3 Standard (Plus)', format: 'standard' },
+  'veo3-enhanced-continuity-plus': { name: 'Veo 3 Enhanced Continuity (Plus)', format: 'enhanced' },
+  'veo3-continuation-minimal': { name: 'Veo 3 Continuation Minimal', format: 'continuation-minimal' },
+  'ugc-template': { name: 'UGC Template', format: 'standard' }
+};
+
+const FIELD_PATH = /^\w+(\.\w+)*$/;
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+}
+
+function withoutContent({ content, history, ...template }) {
+  return template;
+}
+
+function withoutHistory({ history, ...template }) {
+  return template;
+}
+
+// Short content hash; templates with equal hashes render identically
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+// The hash and the variables are derived from the content, never stored
+function withDerivedFields(template) {
+  return {
+    ...template,
+    hash: contentHash(template.content),
+    variables: templateVariableNames(template.content)
+  };
+}
+
+/**
+ * Instruction templates for segment generation: every markdown file in
+ * instructions/ (read-only) plus user templates stored as JSON in
+ * templates/. Each has an id, name, target JSON format and the segment
+ * fields it requires; generate requests pick one with `templateId`.
+ * Templates may use {{variables}} (utils/templateEngine.js). Every template
+ * carries a content hash, and custom templates a version that counts updates;
+ * the content of earlier versions is kept in the template's `history`.
+ *
+ * The per-segment request prompts live in instructions/prompts/ and are
+ * loaded with prompt(); they are rendered with the same variables but are
+ * not templates a request can pick.
+ */
+class TemplateService {
+  async builtinTemplates() {
+    const files = (await fs.readdir(instructionsDir)).filter(file => file.endsWith('.md')).sort();
+    return Promise.all(files.map(async (file) => {
+      const id = path.basename(file, '.md');
+      const content = await fs.readFile(path.join(instructionsDir, file), 'utf8');
+      const metadata = BUILTIN_METADATA[id] || {
+        name: content.match(/^#\s+(.+)$/m)?.[1].trim() || id,
+        format: 'standard'
+      };
+      return withDerivedFields({
+        id,
+        ...metadata,
+        requiredFields: requiredFieldPaths(metadata.format),
+        source: 'builtin',
+        file: `instructions/${file}`,
+        content
+      });
+    }));
+  }
+
+  // A file that cannot be read as a template is skipped with a warning, so it
+  // does not take the other templates down with it
+  async customTemplates() {
+    const files = await fs.readdir(customDir).catch(() => []);
+    const templates = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(async (file) => {
+        try {
+          const template = JSON.parse(await fs.readFile(path.join(customDir, file), 'utf8'));
+          if (typeof template?.id !== 'string' || typeof template.content !== 'string') {
+            throw new Error('id and content must be strings');
+          }
+          return withDerivedFields({ ...template, version: template.version || 1 });
+        } catch (error) {
+          console.warn(`[Templates] Skipping templates/${file}: ${error.message}`);
+          return null;
+        }
+      }));
+    return templates.filter(Boolean);
+  }
+
+  // A request prompt from instructions/prompts/, e.g. prompt('segment')
+  async prompt(name) {
+    const content = await fs.readFile(path.join(promptsDir, `${name}.md`), 'utf8');
+    return withDerivedFields({
+      id: `prompts/${name}`,
+      name,
+      source: 'builtin',
+      file: `instructions/prompts/${name}.md`,
+      content
+    });
+  }
+
+  async list() {
+    const templates = [...await this.builtinTemplates(), ...await this.customTemplates()];
+    return templates.map(withoutContent);
+  }
+
+  async get(id) {
+    const templates = [...await this.builtinTemplates(), ...await this.customTemplates()];
+    const template = templates.find(entry => entry.id === id);
+    return template ? withoutHistory(template) : null;
+  }
+
+  // A custom template as it was at `version`, or null when that version is not kept
+  async getVersion(id, version) {
+    const current = (await this.customTemplates()).find(template => template.id === id);
+    if (!current) return null;
+    if (current.version === version) return withoutHistory(current);
+
+    const earlier = (current.history || []).find(entry => entry.version === version);
+    return earlier ? withDerivedFields({ ...withoutHistory(current), ...earlier }) : null;
+  }
+
+  // Like get(), but a missing template is an error
+  async load(id) {
+    const template = await this.get(id);
+    if (!template) throw new Error(`Template not found: ${id}`);
+    return template;
+  }
+
+  // What a run records about the template it used
+  describe(template) {
+    const { id, name, format, source, version, hash, variables } = template;
+    return { id, name, format, source, ...(version && { version }), hash, variables };
+  }
+
+  // Problem with submitted template fields, or null; `partial` for updates
+  validationError(fields, { partial = false } = {}) {
+    if (!partial || fields.name !== undefined) {
+      if (typeof fields.name !== 'string' || !fields.name.trim()) return 'name is required';
+    }
+    if (!partial || fields.format !== undefined) {
+      if (!TEMPLATE_FORMATS.includes(fields.format)) return `format must be one of: ${TEMPLATE_FORMATS.join(', ')}`;
+    }
+    if (!partial || fields.content !== undefined) {
+      if (typeof fields.content !== 'string' || !fields.content.trim()) return 'content is required';
+      const unknown = templateVariableNames(fields.content).filter(name => !TEMPLATE_VARIABLES.includes(name));
+      if (unknown.length > 0) {
+        return `Unknown template variables: ${unknown.join(', ')}. Available: ${TEMPLATE_VARIABLES.join(', ')}`;
+      }
+    }
+    if (fields.requiredFields !== undefined) {
+      if (!Array.isArray(fields.requiredFields) || !fields.requiredFields.every(field => FIELD_PATH.test(field))) {
+        return 'requiredFields must be an array of dotted field paths, e.g. "character_description.physical"';
+      }
+    }
+    return null;
+  }
+
+  async save({ hash, variables, ...template }) {
+    await fs.mkdir(customDir, { recursive: true });
+    await fs.writeFile(path.join(customDir, `${template.id}.json`), JSON.stringify(template, null, 2));
+    return withDerivedFields(withoutHistory(template));
+  }
+
+  async create({ name, format, content, requiredFields }) {
+    const base = slugify(name) || 'template';
+    let id = base;
+    // A skipped, unreadable file keeps its id so it is never overwritten
+    const taken = async candidate => await this.get(candidate) ||
+      await fs.access(path.join(customDir, `${candidate}.json`)).then(() => true, () => false);
+    for (let n = 2; await taken(id); n++) id = `${base}-${n}`;
+
+    const now = new Date().toISOString();
+    console.log(`[Templates] Creating ${id} (${format})`);
+    return this.save({
+      id,
+      name: name.trim(),
+      format,
+      requiredFields: requiredFields || requiredFieldPaths(format),
+      source: 'custom',
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+      content
+    });
+  }
+
+  // Resolves to the updated template, or null when there is no custom template `id`.
+  // Every update is a new version, so runs can tell the versions apart; the
+  // replaced version is appended to `history` so runs that used it can be replayed.
+  async update(id, { name, format, content, requiredFields }) {
+    const current = (await this.customTemplates()).find(template => template.id === id);
+    if (!current) return null;
+
+    console.log(`[Templates] Updating ${id} to version ${current.version + 1}`);
+    const replaced = {
+      version: current.version,
+      name: current.name,
+      format: current.format,
+      requiredFields: current.requiredFields,
+      content: current.content,
+      updatedAt: current.updatedAt
+    };
+    return this.save({
+      ...current,
+      history: [...(current.history || []), replaced],
+      version: current.version + 1,
+      ...(name !== undefined && { name: name.trim() }),
+      ...(format !== undefined && { format }),
+      ...(content !== undefined && { content }),
+      ...(requiredFields !== undefined && { requiredFields }),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * The template a generate request picked with `templateId`. Resolves to
+   * { params } to merge into the generation params (template id, its JSON
+   * format and required fields), or { error } for a 400 response.
+   */
+  async resolveForRequest(templateId, formats = ['standard', 'enhanced']) {
+    if (templateId === undefined || templateId === null || templateId === '') return { params: {} };
+
+    const template = await this.get(templateId);
+    if (!template) return { error: `Unknown template: ${templateId}` };
+    if (!formats.includes(template.format)) {
+      return { error: `Template ${templateId} targets the ${template.format} format, expected ${formats.join(' or ')}` };
+    }
+    return {
+      params: {
+        templateId: template.id,
+        jsonFormat: template.format,
+        requiredFields: template.requiredFields
+      }
+    };
+  }
+}
+
+export default new TemplateService();
@@ -3,12 +3,21 @@ import { VertexAI } from '@google-cloud/vertexai';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import VideoProvider from './videoProvider.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-class Veo3Service {
+class Veo3Service extends VideoProvider {
   constructor() {
+    super({
+      id: 'gemini',
+      name: 'Google Gemini',
+      description: 'Video descriptions only',
+      features: ['Video descriptions', 'Fast generation'],
+      capabilities: { actualVideo: false },
+      pricing: 'Free (descriptions)'
+    });
     this.genAI = null;
     this.vertexAI = null;
     this.useVertexAI = false;
@@ -48,6 +57,19 @@ class Veo3Service {
     }
   }
 
+  isConfigured() {
+    return !!(this.genAI || this.vertexAI);
+  }
+
+  compilePrompt(segment, options = {}) {
+    return this.createVideoPrompt(segment, options);
+  }
+
+  // Descriptions are generated in the request, so there is nothing to poll
+  submit(segment, options = {}) {
+    return this.generateVideoFromSegment(segment, options);
+  }
+
   async generateVideoFromSegment(segment, options = {}) {
     // Try to initialize again if not already done
     if (!this.genAI && !this.vertexAI) {
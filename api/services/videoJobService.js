@@ -0,0 +1,296 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from '../../utils/logger.js';
+import VideoProviders from './videoProviders.js';
+import { openRun, segmentStep } from '../../utils/runStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.join(__dirname, '../..');
+const jobsRoot = path.join(projectRoot, 'runs/video-jobs');
+
+// How long the server keeps checking videos that were still processing when generation returned
+const FOLLOW_TIMEOUT_MS = 60 * 60 * 1000;
+
+function jobStatus(segments) {
+  if (segments.some(segment => segment.status === 'queued' || segment.status === 'processing')) return 'processing';
+  const failed = segments.filter(segment => segment.status === 'failed').length;
+  if (failed === 0) return 'completed';
+  return failed === segments.length ? 'failed' : 'partial';
+}
+
+// One segment's fields from a provider result; the rest of the result stays in metadata
+function submission(result) {
+  return {
+    requestId: result.requestId || null,
+    prompt: result.metadata?.prompt || result.prompt || null,
+    cost: result.cost || 0,
+    status: result.success === false || result.status === 'failed'
+      ? 'failed'
+      : result.status === 'processing' ? 'processing' : 'completed',
+    videoUrl: result.videoUrl || null,
+    error: result.error || null,
+    submittedAt: new Date().toISOString()
+  };
+}
+
+const QUEUED = { requestId: null, prompt: null, cost: 0, status: 'queued', videoUrl: null, file: null, error: null, submittedAt: null };
+
+/**
+ * Video generation batches on disk, one runs/video-jobs/<id>.json per batch.
+ * Each segment keeps its input JSON (so failed ones can be resubmitted),
+ * its latest submission (request id, prompt, cost, status, video URL) and
+ * the earlier submissions it replaced in `history`.
+ *
+ * Finished clips are downloaded as segment_NN.mp4 into the generation run
+ * the segments came from (`runId`), or into runs/video-jobs/<id>/ when the
+ * job has no run; `file` is the saved path.
+ */
+class VideoJobService {
+  constructor() {
+    // Updates are applied one at a time so background status checks do not overwrite each other
+    this.writes = Promise.resolve();
+    this.downloading = new Set();
+    // "<provider>:<requestId>" -> job id, read from disk on first use and kept current by save()
+    this.requestIndex = null;
+  }
+
+  indexKey(providerId, requestId) {
+    return `${providerId}:${requestId}`;
+  }
+
+  indexJob(index, job) {
+    for (const segment of job.segments) {
+      if (segment.requestId) index.set(this.indexKey(job.provider, segment.requestId), job.id);
+    }
+  }
+
+  requestJobs() {
+    if (!this.requestIndex) {
+      this.requestIndex = this.list().then((jobs) => {
+        const index = new Map();
+        jobs.forEach(job => this.indexJob(index, job));
+        return index;
+      });
+      this.requestIndex.catch(() => { this.requestIndex = null; });
+    }
+    return this.requestIndex;
+  }
+
+  async load(id) {
+    if (!/^[\w-]+$/.test(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(path.join(jobsRoot, `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(job) {
+    job.status = jobStatus(job.segments);
+    job.totalCost = Math.round(job.segments.reduce((sum, segment) => sum + segment.cost, 0) * 100) / 100;
+    job.updatedAt = new Date().toISOString();
+    await fs.mkdir(jobsRoot, { recursive: true });
+    await fs.writeFile(path.join(jobsRoot, `${job.id}.json`), JSON.stringify(job, null, 2));
+    if (this.requestIndex) this.indexJob(await this.requestIndex, job);
+    return job;
+  }
+
+  // Load the job, apply `change` and save it; `change` returns false to leave the job as is
+  update(id, change) {
+    const write = this.writes.then(async () => {
+      const job = await this.load(id);
+      if (job && change(job) !== false) await this.save(job);
+      return job;
+    });
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  // Newest first, without the segment inputs
+  async list() {
+    const files = await fs.readdir(jobsRoot).catch(() => []);
+    const jobs = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.load(path.basename(file, '.json'))));
+    return jobs
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.summary(job));
+  }
+
+  summary(job) {
+    return {
+      ...job,
+      segments: job.segments.map(({ input, ...segment }) => segment)
+    };
+  }
+
+  /**
+   * Generate videos for `segments` with `provider` and record the batch.
+   * Resolves to { job, result }, where result is what the provider's
+   * generateVideosForAllSegments returned. If the batch throws, every
+   * segment is recorded as failed and the error carries `jobId`.
+   */
+  async generate(provider, segments, options = {}, { runId = null } = {}) {
+    const job = await this.save({
+      id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      provider: provider.id,
+      runId,
+      options,
+      createdAt: new Date().toISOString(),
+      segments: segments.map((input, index) => ({
+        segmentNumber: input.segment_info?.segment_number || index + 1,
+        input,
+        ...QUEUED,
+        history: []
+      }))
+    });
+    logger.info(`[VideoJobs] Recording ${provider.name} batch ${job.id}`);
+
+    return this.submit(job.id, provider, job.segments.map((segment, index) => index), segments, options);
+  }
+
+  // Resubmit the failed segments of a job with its original options; null if there is no such job
+  async retry(id) {
+    let indexes = [];
+    const job = await this.update(id, (current) => {
+      indexes = current.segments
+        .map((segment, index) => (segment.status === 'failed' ? index : -1))
+        .filter(index => index >= 0);
+      if (indexes.length === 0) return false;
+
+      for (const index of indexes) {
+        const segment = current.segments[index];
+        segment.history.push(Object.fromEntries(Object.keys(QUEUED).map(field => [field, segment[field]])));
+        Object.assign(segment, QUEUED);
+      }
+    });
+    if (!job) return null;
+    if (indexes.length === 0) {
+      return { job: this.summary(job), result: null };
+    }
+
+    logger.info(`[VideoJobs] Retrying ${indexes.length} failed segments of ${job.id}`);
+    const provider = VideoProviders.get(job.provider);
+    return this.submit(job.id, provider, indexes, indexes.map(index => job.segments[index].input), job.options);
+  }
+
+  async submit(id, provider, indexes, inputs, options) {
+    let result;
+    let failure;
+    try {
+      result = await provider.generateVideosForAllSegments(inputs, options);
+    } catch (error) {
+      failure = error;
+    }
+
+    const job = await this.update(id, (current) => {
+      indexes.forEach((index, n) => Object.assign(current.segments[index], submission(
+        failure ? { success: false, error: failure.message } : result.videos[n]
+      )));
+    });
+
+    if (failure) {
+      failure.jobId = id;
+      throw failure;
+    }
+    this.follow(indexes.map(index => job.segments[index]), provider);
+    this.saveClips(id);
+    return { job: this.summary(job), result };
+  }
+
+  // Record the outcome of one request, e.g. from a client polling its status
+  async recordStatus(providerId, requestId, status) {
+    const jobId = (await this.requestJobs()).get(this.indexKey(providerId, requestId));
+    if (!jobId) return;
+
+    await this.update(jobId, (job) => {
+      const segment = job.segments.find(s => s.requestId === requestId);
+      if (!segment) return false;
+      const videoUrl = status.videoUrl || null;
+      if (segment.status === status.status && segment.videoUrl === videoUrl) return false;
+      Object.assign(segment, { status: status.status, videoUrl, error: status.error || null });
+    });
+    this.saveClips(jobId);
+  }
+
+  /**
+   * Clips saved for a generation run, as [{ segmentNumber, path }] in segment
+   * order. Only downloads that finished are recorded in `file`; when several
+   * jobs saved the same segment, the newest job wins. Recorded files that
+   * were deleted since are left out.
+   */
+  async runClips(runId) {
+    const clips = new Map();
+    for (const job of await this.list()) {
+      if (job.runId !== runId) continue;
+      for (const segment of job.segments) {
+        if (segment.file && !clips.has(segment.segmentNumber)) {
+          clips.set(segment.segmentNumber, path.join(projectRoot, segment.file));
+        }
+      }
+    }
+    const saved = await Promise.all([...clips].map(async ([segmentNumber, filePath]) =>
+      fs.access(filePath).then(() => ({ segmentNumber, path: filePath }), () => null)));
+    return saved.filter(Boolean).sort((a, b) => a.segmentNumber - b.segmentNumber);
+  }
+
+  async clipDirectory(job) {
+    const run = job.runId && await openRun(job.runId);
+    if (run) return run.dir;
+
+    const dir = path.join(jobsRoot, job.id);
+    await fs.mkdir(dir, { recursive: true });
+    return dir;
+  }
+
+  // Download the completed clips of a job that are not saved yet, in the background
+  saveClips(id) {
+    this.load(id).then(async (job) => {
+      const pending = job.segments.filter(segment =>
+        segment.status === 'completed' && segment.videoUrl && !segment.file &&
+        !this.downloading.has(segment.videoUrl));
+      if (pending.length === 0) return;
+
+      const provider = VideoProviders.get(job.provider);
+      const dir = await this.clipDirectory(job);
+      for (const segment of pending) {
+        const { videoUrl } = segment;
+        this.downloading.add(videoUrl);
+        try {
+          const filePath = await provider.download(videoUrl, path.join(dir, `${segmentStep(segment.segmentNumber)}.mp4`));
+          logger.info(`[VideoJobs] Saved segment ${segment.segmentNumber} of ${job.id} to ${filePath}`);
+          await this.update(id, (current) => {
+            const saved = current.segments.find(s => s.videoUrl === videoUrl);
+            if (!saved) return false;
+            saved.file = path.relative(projectRoot, filePath);
+          });
+        } catch (error) {
+          logger.warn(`[VideoJobs] Downloading segment ${segment.segmentNumber} of ${job.id} failed:`, error.message);
+        } finally {
+          this.downloading.delete(videoUrl);
+        }
+      }
+    }).catch(error => logger.warn(`[VideoJobs] Saving clips of ${id} failed:`, error.message));
+  }
+
+  // Keep polling processing videos in the background so their URLs are recorded without a client
+  follow(segments, provider) {
+    segments
+      .filter(segment => segment.status === 'processing')
+      .forEach(async (segment) => {
+        try {
+          const status = await provider.waitFor(segment.requestId, { timeout: FOLLOW_TIMEOUT_MS });
+          if (status.status !== 'processing') await this.recordStatus(provider.id, segment.requestId, status);
+        } catch (error) {
+          logger.warn(`[VideoJobs] Following ${segment.requestId} failed:`, error.message);
+        }
+      });
+  }
+}
+
+export default new VideoJobService();
@@ -0,0 +1,218 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import logger from '../../utils/logger.js';
+
+// HTTP status for a provider error, from the messages the providers throw
+export function videoErrorStatus(error) {
+  if (error.message.includes('API key') || error.message.includes('not initialized')) return 401;
+  if (error.message.includes('balance') || error.message.includes('credits')) return 402;
+  if (error.message.includes('Rate limit')) return 429;
+  if (error.message.includes('Invalid request')) return 400;
+  return 500;
+}
+
+/**
+ * Contract shared by the video generation backends (see videoProviders.js
+ * for the registry). A provider describes itself with:
+ * - id, name, description and features, shown by the client as is
+ * - capabilities: { actualVideo, aspectRatios, durations, resolutions,
+ *   audio: 'optional' | 'always' | 'none', imageInput }
+ * - pricing: a label such as "$0.40 per video"; estimateCost() does the math
+ *
+ * and implements compilePrompt(segment, options), submit(segment, options)
+ * and, for asynchronous backends, poll(requestId). submit() resolves to
+ * { requestId, status, videoUrl, duration, cost, metadata } with status
+ * 'processing', 'completed' or 'failed'; poll() to the same status fields.
+ * Batches, waiting and downloads are shared here.
+ */
+export default class VideoProvider {
+  constructor({ id, name, description, features = [], capabilities, pricing }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.features = features;
+    this.capabilities = {
+      actualVideo: true,
+      aspectRatios: [],
+      durations: [],
+      resolutions: [],
+      audio: 'none',
+      imageInput: false,
+      ...capabilities
+    };
+    this.pricing = pricing;
+    this.pollInterval = 15000;
+    this.submitDelay = 1000;
+    this.defaultWaitSeconds = 240;
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      features: this.features,
+      capabilities: this.capabilities,
+      pricing: this.pricing,
+      configured: this.isConfigured()
+    };
+  }
+
+  async getServiceStatus() {
+    return this.isConfigured()
+      ? { available: true }
+      : { available: false, reason: 'API key not configured' };
+  }
+
+  // Problem with the requested options for this provider, or null
+  validateOptions(options = {}) {
+    const { aspectRatios, durations, resolutions, audio, imageInput } = this.capabilities;
+    if (options.aspectRatio && !aspectRatios.includes(options.aspectRatio)) {
+      return `${this.name} supports aspect ratios: ${aspectRatios.join(', ') || 'none'}`;
+    }
+    if (options.duration && !durations.includes(options.duration)) {
+      return `${this.name} supports durations: ${durations.join(', ') || 'none'}`;
+    }
+    if (options.resolution && !resolutions.includes(options.resolution)) {
+      return `${this.name} supports resolutions: ${resolutions.join(', ') || 'none'}`;
+    }
+    if (options.generateAudio === false && audio === 'always') {
+      return `${this.name} always generates audio`;
+    }
+    if (options.imageUrl && !imageInput) {
+      return `${this.name} does not accept an input image`;
+    }
+    return null;
+  }
+
+  // USD for `segmentCount` clips with these options
+  estimateCost(segmentCount, options = {}) {
+    const perSegment = this.costPerSegment(options);
+    return {
+      amount: Math.round(segmentCount * perSegment * 100) / 100,
+      perSegment,
+      currency: 'USD'
+    };
+  }
+
+  costPerSegment() {
+    return 0;
+  }
+
+  compilePrompt() {
+    throw new Error(`${this.name} does not implement compilePrompt`);
+  }
+
+  async submit() {
+    throw new Error(`${this.name} does not implement submit`);
+  }
+
+  async poll() {
+    throw new Error(`${this.name} does not support status polling`);
+  }
+
+  // Poll until the request completes or fails; still processing after `timeout` ms resolves as is
+  async waitFor(requestId, { timeout = 600000, interval = this.pollInterval } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const status = await this.poll(requestId);
+      if (status.status !== 'processing' || Date.now() + interval > deadline) return status;
+      logger.debug(`[${this.name}] ${requestId} still processing`);
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
+  // Save a finished clip to `filePath`. It is written under a temporary name
+  // and renamed when complete, so a failed download leaves no partial clip.
+  async download(videoUrl, filePath) {
+    const partialPath = `${filePath}.${crypto.randomBytes(3).toString('hex')}.part`;
+    try {
+      const response = await axios.get(videoUrl, { responseType: 'stream', timeout: 120000 });
+      await pipeline(response.data, fs.createWriteStream(partialPath));
+      await fs.promises.rename(partialPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(partialPath, { force: true });
+      throw error;
+    }
+    return filePath;
+  }
+
+  /**
+   * Submit every segment in order, then poll the ones still processing for
+   * up to `options.waitSeconds` (defaultWaitSeconds, 240 unless the provider
+   * sets it). Those still running after that are returned with their
+   * requestId, to be checked with poll().
+   */
+  async generateVideosForAllSegments(segments, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} API key not configured`);
+    }
+
+    logger.info(`[${this.name}] Starting batch generation for ${segments.length} segments`);
+    const timer = logger.startTimer(`${this.name} Batch Generation`);
+
+    const results = [];
+    const errors = [];
+
+    // Submit sequentially to avoid rate limits
+    for (let i = 0; i < segments.length; i++) {
+      const segmentNumber = segments[i].segment_info?.segment_number || i + 1;
+      try {
+        logger.info(`[${this.name}] Submitting segment ${i + 1}/${segments.length}`);
+        const submitted = await this.submit(segments[i], { ...options, segmentIndex: i });
+        results.push({ success: true, ...submitted, segmentNumber });
+
+        if (i < segments.length - 1) {
+          await new Promise(resolve => setTimeout(resolve, this.submitDelay));
+        }
+      } catch (error) {
+        logger.error(`[${this.name}] Failed to submit segment ${i + 1}:`, error.message);
+        errors.push({ segmentIndex: i + 1, error: error.message });
+        results.push({ success: false, segmentNumber, error: error.message });
+      }
+    }
+
+    const waitSeconds = options.waitSeconds ?? this.defaultWaitSeconds;
+    const processing = waitSeconds > 0 ? results.filter(result => result.status === 'processing') : [];
+    await Promise.all(processing.map(async (result) => {
+      try {
+        const status = await this.waitFor(result.requestId, { timeout: waitSeconds * 1000 });
+        result.status = status.status;
+        result.videoUrl = status.videoUrl;
+        if (status.status === 'failed') {
+          result.success = false;
+          result.error = status.error;
+          errors.push({ segmentIndex: result.segmentNumber, error: status.error });
+        }
+      } catch (error) {
+        // The request may still finish; leave it processing so it can be checked later
+        logger.warn(`[${this.name}] Status check for ${result.requestId} failed:`, error.message);
+      }
+    }));
+
+    timer.end(`${this.name} batch generation completed`);
+
+    const successCount = results.filter(r => r.success && r.status !== 'processing').length;
+    const pendingCount = results.filter(r => r.status === 'processing').length;
+    const totalCost = results
+      .filter(r => r.success && r.cost)
+      .reduce((sum, r) => sum + r.cost, 0);
+
+    return {
+      success: successCount + pendingCount > 0,
+      videos: results,
+      totalSegments: segments.length,
+      successCount,
+      pendingCount,
+      failureCount: errors.length,
+      totalCost: Math.round(totalCost * 100) / 100,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  }
+}
@@ -0,0 +1,28 @@
+import Veo3Service from './veo3Service.js';
+import FalAIService from './falaiService.js';
+import KieAiService from './kieAiService.js';
+
+/**
+ * The video providers the server knows, in the order the client lists
+ * them. Each implements the VideoProvider contract (videoProvider.js);
+ * a new backend only needs to be registered here.
+ */
+class VideoProviderRegistry {
+  constructor(providers) {
+    this.providers = new Map(providers.map(provider => [provider.id, provider]));
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+
+  describe() {
+    return this.list().map(provider => provider.describe());
+  }
+}
+
+export default new VideoProviderRegistry([Veo3Service, FalAIService, KieAiService]);
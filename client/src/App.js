@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
 import ScriptForm from './components/ScriptForm';
 import ResultsDisplay from './components/ResultsDisplay';
@@ -8,48 +8,142 @@ import ErrorBoundary from './components/ErrorBoundary';
 import ContinuationMode from './components/ContinuationMode';
 import SegmentManager from './components/SegmentManager';
 import BulkOperations from './components/BulkOperations';
-import { generateSegments } from './api/client';
 import ScriptFormPlus from './components/ScriptFormPlus';
 import ResultsDisplayPlus from './components/ResultsDisplayPlus';
 import DownloadButtonPlus from './components/DownloadButtonPlus';
 import VideoGeneratorPlus from './components/VideoGeneratorPlus';
-import { generateSegmentsPlus } from './api/clientPlus';
+import { planSegmentsPlus } from './api/clientPlus';
+import { startJob, watchJob, saveActiveJob, loadActiveJob, clearActiveJob } from './api/jobs';
+import JobProgress from './components/JobProgress';
+import PlanEditor from './components/PlanEditor';
 import NewContinuationMode from './components/NewContinuationMode';
 
 function App() {
-  useEffect(() => {
-    console.log('App component mounted');
-  }, []);
   const [loading, setLoading] = useState(false);
   const [results, setResults] = useState(null);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('standard'); // standard | continuation | standard-plus | new-cont
   const [showSegmentManager, setShowSegmentManager] = useState(false);
   const [showBulkOperations, setShowBulkOperations] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [planSettings, setPlanSettings] = useState(null);
+  const [jobStep, setJobStep] = useState(null);
+  const [jobSegments, setJobSegments] = useState([]);
+  const [partialRun, setPartialRun] = useState(null);
+  const stopWatchingRef = useRef(null);
 
-  const handleSubmit = async (formData) => {
-    console.log('Form submitted with:', formData);
+  const finishJob = useCallback(() => {
+    clearActiveJob();
+    stopWatchingRef.current = null;
+    setLoading(false);
+    setJobStep(null);
+    setJobSegments([]);
+  }, []);
+
+  // Follow a background generation job until it completes or fails
+  const followJob = useCallback((activeJob) => {
+    setLoading(true);
+    if (stopWatchingRef.current) stopWatchingRef.current();
+    stopWatchingRef.current = watchJob(activeJob.jobId, {
+      onSnapshot: (job) => {
+        setJobStep(job.step);
+        setJobSegments(job.segments);
+      },
+      onProgress: setJobStep,
+      onSegment: (index, segment) => setJobSegments(prev => {
+        const next = [...prev];
+        next[index] = segment;
+        return next;
+      }),
+      onCompleted: (job) => {
+        finishJob();
+        console.log('Generation successful:', job.result);
+        setResults({
+          ...job.result,
+          settings: activeJob.settings
+        });
+      },
+      onFailed: (job) => {
+        finishJob();
+        setError(job?.error || 'The generation job was lost, possibly because the server restarted');
+        // Finished segments are kept on the server and the run can be resumed
+        if (job?.partial) setPartialRun({ ...job.partial, settings: activeJob.settings });
+      }
+    });
+  }, [finishJob]);
+
+  useEffect(() => {
+    console.log('App component mounted');
+    // Pick up a job that was still running when the page was refreshed
+    const activeJob = loadActiveJob();
+    if (activeJob) {
+      setActiveTab(activeJob.tab);
+      followJob(activeJob);
+    }
+    return () => stopWatchingRef.current && stopWatchingRef.current();
+  }, [followJob]);
+
+  const runJob = async (endpoint, data, settings) => {
     setLoading(true);
     setError(null);
     setResults(null);
-    
+    setPartialRun(null);
+
     try {
-      const response = activeTab === 'standard-plus' ?
-        await generateSegmentsPlus(formData) :
-        await generateSegments(formData);
-      console.log('Generation successful:', response);
-      setResults({
-        ...response,
-        settings: formData
-      });
+      const { jobId } = await startJob(endpoint, data);
+      const activeJob = { jobId, tab: activeTab, settings };
+      saveActiveJob(activeJob);
+      followJob(activeJob);
     } catch (err) {
       console.error('Generation failed:', err);
       setError(err.message || 'Something went wrong');
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (formData) => {
+    console.log('Form submitted with:', formData);
+    const endpoint = activeTab === 'standard-plus' ? '/api/generate-plus' : '/api/generate';
+    runJob(endpoint, formData, formData);
+  };
+
+  const handlePlan = async (formData) => {
+    console.log('Planning with:', formData);
+    setLoading(true);
+    setError(null);
+    setResults(null);
+
+    try {
+      setPlan(await planSegmentsPlus(formData));
+      setPlanSettings(formData);
+    } catch (err) {
+      console.error('Planning failed:', err);
+      setError(err.message || 'Something went wrong');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleRenderPlan = () => {
+    runJob('/api/render-plan', { ...planSettings, plan }, planSettings);
+  };
+
+  const handleResume = () => {
+    runJob(partialRun.resumeUrl, {}, partialRun.settings);
+  };
+
+  const renderPartialRun = () => partialRun && (
+    <div className="partial-run">
+      <button type="button" className="submit-button" onClick={handleResume} disabled={loading}>
+        Resume generation from segment {partialRun.segments.length + 1}
+      </button>
+      <JobProgress
+        step={{ label: `Stopped at ${partialRun.failedStep || 'an unknown step'} (run ${partialRun.runId})` }}
+        segments={partialRun.segments}
+      />
+    </div>
+  );
+
   const handleSegmentUpdate = (updatedSegments) => {
     setResults({
       ...results,
@@ -101,9 +195,11 @@ function App() {
         {activeTab === 'standard' ? (
           <>
             <ScriptForm onSubmit={handleSubmit} loading={loading} />
+            {jobStep && <JobProgress step={jobStep} segments={jobSegments} />}
             {error && (
               <div className="error-message">Error: {error}</div>
             )}
+            {renderPartialRun()}
             {results && (
               <>
                 <ResultsDisplay results={results} />
@@ -134,7 +230,7 @@ function App() {
                   />
                 )}
                 <DownloadButton segments={results.segments} metadata={results.metadata} />
-                <VideoGenerator segments={results.segments} />
+                <VideoGenerator segments={results.segments} runId={results.metadata?.runId} />
               </>
             )}
           </>
@@ -142,10 +238,21 @@ function App() {
           <ContinuationMode />
         ) : activeTab === 'standard-plus' ? (
           <>
-            <ScriptFormPlus onSubmit={handleSubmit} loading={loading} />
+            <ScriptFormPlus onSubmit={handleSubmit} onPlan={handlePlan} loading={loading} />
+            {plan && (
+              <PlanEditor
+                plan={plan}
+                onChange={setPlan}
+                onRender={handleRenderPlan}
+                onDiscard={() => setPlan(null)}
+                loading={loading}
+              />
+            )}
+            {jobStep && <JobProgress step={jobStep} segments={jobSegments} />}
             {error && (
               <div className="error-message">Error: {error}</div>
             )}
+            {renderPartialRun()}
             {results && (
               <>
                 <ResultsDisplayPlus results={results} />
@@ -22,7 +22,8 @@ export async function generateSegments(data) {
   return result;
 }
 
-export async function downloadSegments(segments) {
+// With { runId, includeVideos: true } the ZIP also holds the clips downloaded into that run
+export async function downloadSegments(segments, options = {}) {
   console.log('[API Client] Downloading segments:', segments.length);
   
   const response = await fetch('/api/download', {
@@ -30,7 +31,7 @@ export async function downloadSegments(segments) {
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ segments }),
+    body: JSON.stringify({ segments, ...options }),
   });
   
   if (!response.ok) {
@@ -121,6 +122,138 @@ export async function generateVideosFalAI(segments, options = {}) {
   return result;
 }
 
+// Video providers configured on the server, with capabilities and pricing
+export async function listVideoProviders() {
+  const response = await fetch('/api/video-providers');
+  if (!response.ok) {
+    throw new Error(`Failed to load video providers: ${response.status}`);
+  }
+  const { providers } = await response.json();
+  return providers;
+}
+
+export async function checkVideoProviderStatus(providerId) {
+  try {
+    const response = await fetch(`/api/video-providers/${providerId}/status`);
+    return await response.json();
+  } catch (error) {
+    console.error(`[API Client] ${providerId} status check failed:`, error);
+    return { available: false, reason: error.message };
+  }
+}
+
+export async function estimateVideoCost(providerId, segmentCount, options = {}) {
+  const response = await fetch(`/api/video-providers/${providerId}/estimate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ segmentCount, options }),
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || 'Failed to estimate video cost');
+  }
+  return response.json();
+}
+
+// `runId` is the generation run the segments came from; finished clips are saved into it
+export async function generateProviderVideos(providerId, segments, options = {}, runId) {
+  console.log(`[API Client] Generating videos via ${providerId} for segments:`, segments.length);
+  
+  const response = await fetch(`/api/video-providers/${providerId}/generate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ segments, options, runId }),
+  });
+  
+  if (!response.ok) {
+    const error = await response.json();
+    console.error(`[API Client] ${providerId} video generation error:`, error);
+    throw new Error(error.message || `Failed to generate videos via ${providerId}`);
+  }
+  
+  return response.json();
+}
+
+export async function getProviderVideoStatus(providerId, requestId) {
+  const response = await fetch(`/api/video-providers/${providerId}/videos/${encodeURIComponent(requestId)}`);
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.message || `Failed to check video status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+// Recorded video batches, newest first
+export async function listVideoJobs() {
+  const response = await fetch('/api/video-jobs');
+  if (!response.ok) {
+    throw new Error(`Failed to load video jobs: ${response.status}`);
+  }
+  const { jobs } = await response.json();
+  return jobs;
+}
+
+// One recorded video batch; the status of every video in it, kept current by the server
+export async function getVideoJob(jobId) {
+  const response = await fetch(`/api/video-jobs/${jobId}`);
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.message || `Failed to load video job: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  const { job } = await response.json();
+  return job;
+}
+
+// Resubmit the failed segments of a recorded batch
+export async function retryVideoJob(jobId) {
+  const response = await fetch(`/api/video-jobs/${jobId}/retry`, { method: 'POST' });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || 'Failed to retry video job');
+  }
+  return response.json();
+}
+
+export async function generateVideosKieAI(segments, options = {}) {
+  console.log('[API Client] Generating videos via Kie.ai for segments:', segments.length);
+  
+  const response = await fetch('/api/generate-videos-kieai', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ segments, options }),
+  });
+  
+  console.log('[API Client] Kie.ai video generation response status:', response.status);
+  
+  if (!response.ok) {
+    const error = await response.json();
+    console.error('[API Client] Kie.ai video generation error:', error);
+    throw new Error(error.message || 'Failed to generate videos via Kie.ai');
+  }
+  
+  const result = await response.json();
+  console.log('[API Client] Kie.ai video generation success:', result);
+  return result;
+}
+
+// Kie.ai videos can still be processing when generation returns
+export async function getKieAIVideoStatus(taskId) {
+  const response = await fetch(`/api/kieai-videos/${encodeURIComponent(taskId)}`);
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || 'Failed to check Kie.ai video status');
+  }
+  return response.json();
+}
+
 export async function checkFalAIStatus() {
   console.log('[API Client] Checking FalAI service status');
   
@@ -140,3 +273,27 @@ export async function checkFalAIStatus() {
   }
 }
 
+
+export async function previewSplit(data) {
+  const response = await fetch('/api/split-preview', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data),
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || 'Failed to preview script split');
+  }
+  return response.json();
+}
+
+// Instruction templates (metadata only) for the template selectors
+export async function listTemplates() {
+  const response = await fetch('/api/templates');
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || 'Failed to load templates');
+  }
+  const { templates } = await response.json();
+  return templates;
+}
@@ -53,4 +53,21 @@ export async function generateVideosPlus(segments) {
   const result = await response.json();
   console.log('[API Client Plus] Video generation success:', result);
   return result;
-} 
\ No newline at end of file
+} 
+
+export async function planSegmentsPlus(data) {
+  console.log('[API Client Plus] Calling /api/plan');
+  const response = await fetch('/api/plan', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data),
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    console.error('[API Client Plus] Plan error:', error);
+    throw new Error(error.message || error.error || 'Failed to plan segments');
+  }
+  const result = await response.json();
+  console.log('[API Client Plus] Plan received:', result.plan.segments.length, 'segments');
+  return result.plan;
+}
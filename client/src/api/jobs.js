@@ -0,0 +1,80 @@
+const ACTIVE_JOB_KEY = 'ugcActiveJob';
+
+// Start a generation endpoint as a background job; resolves to { jobId, statusUrl, eventsUrl }
+export async function startJob(endpoint, data) {
+  console.log(`[API Jobs] Starting job via ${endpoint}`);
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...data, async: true }),
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    console.error('[API Jobs] Failed to start job:', error);
+    throw new Error(error.message || error.error || 'Failed to start generation');
+  }
+  const result = await response.json();
+  console.log('[API Jobs] Job started:', result.jobId);
+  return result;
+}
+
+export async function getJob(jobId) {
+  const response = await fetch(`/api/jobs/${jobId}`);
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error('Failed to load job status');
+  const result = await response.json();
+  return result.job;
+}
+
+/**
+ * Follow a job over Server-Sent Events. Handlers: onSnapshot(job),
+ * onProgress(step), onSegment(index, segment), onCompleted(job), onFailed(job | null).
+ * Returns a function that closes the stream.
+ */
+export function watchJob(jobId, handlers) {
+  const source = new EventSource(`/api/jobs/${jobId}/events`);
+  const parse = (handler) => (event) => handler(JSON.parse(event.data));
+
+  source.addEventListener('snapshot', parse(({ job }) => handlers.onSnapshot?.(job)));
+  source.addEventListener('progress', parse(({ step }) => handlers.onProgress?.(step)));
+  source.addEventListener('segment', parse(({ index, segment, step }) => {
+    handlers.onProgress?.(step);
+    handlers.onSegment?.(index, segment);
+  }));
+  source.addEventListener('completed', parse(({ job }) => {
+    source.close();
+    handlers.onCompleted?.(job);
+  }));
+  source.addEventListener('failed', parse(({ job }) => {
+    source.close();
+    handlers.onFailed?.(job);
+  }));
+
+  // The browser reconnects on its own after network drops; a closed stream
+  // means the job is gone (e.g. the server restarted)
+  source.onerror = async () => {
+    if (source.readyState !== EventSource.CLOSED) return;
+    const job = await getJob(jobId).catch(() => null);
+    if (job?.status === 'completed') handlers.onCompleted?.(job);
+    else handlers.onFailed?.(job);
+  };
+
+  return () => source.close();
+}
+
+// The running job is remembered so it can be picked up again after a refresh
+export function saveActiveJob(activeJob) {
+  localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify(activeJob));
+}
+
+export function loadActiveJob() {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+export function clearActiveJob() {
+  localStorage.removeItem(ACTIVE_JOB_KEY);
+}
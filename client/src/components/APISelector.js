@@ -1,65 +1,34 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { checkVideoProviderStatus } from '../api/client';
 
-function APISelector({ selectedAPI, onAPIChange, disabled = false }) {
+// Renders the providers from GET /api/video-providers, as passed in by VideoGenerator
+function APISelector({ providers = [], selectedAPI, onAPIChange, disabled = false }) {
   const [serviceStatus, setServiceStatus] = useState({});
   const [loading, setLoading] = useState(false);
 
-  // API options with their details
-  const apiOptions = [
-    {
-      id: 'gemini',
-      name: 'Google Gemini',
-      description: 'Video descriptions only',
-      cost: 'Free (descriptions)',
-      features: ['Video descriptions', 'Fast generation']
-    },
-    {
-      id: 'falai',
-      name: 'FalAI Veo3 Fast',
-      description: 'Actual video generation (fast mode)',
-      cost: '$0.20-$0.40 per second',
-      features: ['Actual video files', '⚡ Fast generation', '5-8 second videos', 'HD quality']
-    },
-    {
-      id: 'kieai',
-      name: 'Kie.ai',
-      description: 'Alternative video generation',
-      cost: '$0.40 per video',
-      features: ['Actual video files', 'Flat rate pricing', 'Good quality']
-    }
-  ];
-
-  // Check service availability on component mount
-  useEffect(() => {
-    checkServiceAvailability();
-  }, []);
-
-  const checkServiceAvailability = async () => {
+  const checkServiceAvailability = useCallback(async () => {
+    if (providers.length === 0) return;
     setLoading(true);
-    const status = {};
 
     try {
-      // Check FalAI status
-      try {
-        const falaiResponse = await fetch('/api/falai-status');
-        const falaiData = await falaiResponse.json();
-        status.falai = falaiData.available;
-      } catch {
-        status.falai = false;
-      }
-
-      // For other services, we'll assume they're available if the component is rendered
-      // (since the server already validates environment variables)
-      status.gemini = true;
-      status.kieai = true;
-
+      // Each provider checks its own credentials (Kie.ai also verifies the key against the account balance)
+      const results = await Promise.all(providers.map(provider => checkVideoProviderStatus(provider.id)));
+      const status = {};
+      providers.forEach((provider, index) => {
+        status[provider.id] = results[index].available === true;
+      });
       setServiceStatus(status);
     } catch (error) {
       console.error('Error checking service availability:', error);
     } finally {
       setLoading(false);
     }
-  };
+  }, [providers]);
+
+  // Check service availability whenever the provider list changes
+  useEffect(() => {
+    checkServiceAvailability();
+  }, [checkServiceAvailability]);
 
   const handleAPISelect = (apiId) => {
     if (!disabled) {
@@ -79,7 +48,7 @@ function APISelector({ selectedAPI, onAPIChange, disabled = false }) {
     <div className="api-selector">
       <h4>Video Generation API</h4>
       <div className="api-options">
-        {apiOptions.map(option => (
+        {providers.map(option => (
           <div 
             key={option.id}
             className={`api-option ${selectedAPI === option.id ? 'selected' : ''} ${
@@ -91,7 +60,7 @@ function APISelector({ selectedAPI, onAPIChange, disabled = false }) {
               <div className="api-name">
                 {getStatusIcon(option.id)} {option.name}
               </div>
-              <div className="api-cost">{option.cost}</div>
+              <div className="api-cost">{option.pricing}</div>
             </div>
             <div className="api-description">{option.description}</div>
             <div className="api-features">
@@ -112,7 +81,7 @@ function APISelector({ selectedAPI, onAPIChange, disabled = false }) {
       
       {selectedAPI && (
         <div className="api-selection-summary">
-          <strong>Selected:</strong> {apiOptions.find(opt => opt.id === selectedAPI)?.name}
+          <strong>Selected:</strong> {providers.find(opt => opt.id === selectedAPI)?.name}
           <button 
             className="refresh-status-btn"
             onClick={checkServiceAvailability}
@@ -8,6 +8,8 @@ function DownloadButton({ segments, metadata }) {
     try {
       if (format === 'zip') {
         await downloadSegments(segments);
+      } else if (format === 'zip-videos') {
+        await downloadSegments(segments, { runId: metadata.runId, includeVideos: true });
       } else if (format === 'json') {
         downloadJSON();
       } else if (format === 'csv') {
@@ -169,6 +171,17 @@ function DownloadButton({ segments, metadata }) {
             ZIP Archive
           </button>
           
+          {metadata?.runId && (
+            <button 
+              className="format-button"
+              onClick={() => handleDownload('zip-videos')}
+              title="Download as ZIP with the JSON files and the generated MP4 clips"
+            >
+              <span className="format-icon">🎬</span>
+              ZIP with Videos
+            </button>
+          )}
+          
           <button 
             className="format-button"
             onClick={() => handleDownload('json')}
@@ -0,0 +1,36 @@
+import React from 'react';
+
+// Live status of a background generation job: current step plus the
+// segments that have already finished
+function JobProgress({ step, segments }) {
+  const total = step?.total || 0;
+  const done = segments.filter(Boolean).length;
+  const percent = total ? Math.round((done / total) * 100) : 0;
+
+  return (
+    <div className="script-preview job-progress">
+      <h3>{step?.label || 'Starting generation'}</h3>
+      {total > 0 && (
+        <>
+          <div className="job-progress-bar">
+            <div className="job-progress-fill" style={{ width: `${percent}%` }} />
+          </div>
+          <p className="preview-info">{done} of {total} segments finished</p>
+        </>
+      )}
+      <div className="preview-segments">
+        {segments.map((segment, index) => segment && (
+          <div key={index} className="preview-segment">
+            <div className="preview-segment-header">
+              <span className="segment-number">Segment {index + 1}</span>
+              <span className="segment-stats">{segment.segment_info?.location}</span>
+            </div>
+            <div className="preview-segment-text">{segment.action_timeline?.dialogue}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default JobProgress;
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { generateNewCont } from '../api/clientNewCont';
 import DownloadButton from './DownloadButton';
 import ResultsDisplay from './ResultsDisplay';
+import TemplateSelector from './TemplateSelector';
 
 function NewContinuationMode() {
   const [loading, setLoading] = useState(false);
@@ -16,6 +17,7 @@ function NewContinuationMode() {
     voiceType: 'warm-friendly',
     energyLevel: '80',
     jsonFormat: 'standard',
+    templateId: '',
     settingMode: 'single',
     room: 'living room',
     style: 'casual and friendly',
@@ -111,6 +113,14 @@ function NewContinuationMode() {
               <label>Script *</label>
               <textarea name="script" value={formData.script} onChange={handleChange} rows={8} required />
             </div>
+            <TemplateSelector
+              value={formData.templateId}
+              onChange={(templateId, template) => setFormData({
+                ...formData,
+                templateId,
+                ...(template && { jsonFormat: template.format })
+              })}
+            />
           </div>
 
           <button type="submit" className="submit-button" disabled={loading}>
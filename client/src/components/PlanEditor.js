@@ -0,0 +1,121 @@
+import React from 'react';
+
+const CAMERA_OPTIONS = ['static-handheld', 'slow-push', 'orbit', 'dynamic', 'pov-selfie'];
+const TIME_OPTIONS = ['morning', 'afternoon', 'golden-hour', 'evening', 'night'];
+
+// Editable production plan from POST /api/plan. Every field is sent back
+// unchanged to POST /api/render-plan, which generates exactly this plan.
+function PlanEditor({ plan, onChange, onRender, onDiscard, loading }) {
+  const updateSegment = (index, field, value) => {
+    // Transition notes around a changed location are stale; clear them so
+    // the server derives fresh ones at render time
+    const staleTransition = (i) => field === 'location' && Math.abs(i - index) <= 1;
+    const segments = plan.segments.map((entry, i) => ({
+      ...entry,
+      ...(i === index ? { [field]: value } : {}),
+      ...(staleTransition(i) ? { transition: '' } : {})
+    }));
+    onChange({ ...plan, segments });
+  };
+
+  const renderSelect = (index, field, options) => {
+    const value = plan.segments[index][field];
+    const choices = options.includes(value) ? options : [value, ...options];
+    return (
+      <select value={value} onChange={(e) => updateSegment(index, field, e.target.value)}>
+        {choices.map(option => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    );
+  };
+
+  return (
+    <div className="script-preview plan-editor">
+      <h3>Production Plan - {plan.segments.length} Segments</h3>
+      <p className="preview-info">
+        Review and edit each segment before rendering. Rendering uses this plan exactly as shown;
+        clear a transition note to have it derived from the locations.
+      </p>
+
+      <div className="preview-segments">
+        {plan.segments.map((entry, index) => (
+          <div key={index} className="preview-segment plan-segment">
+            <div className="preview-segment-header">
+              <span className="segment-number">Segment {index + 1}</span>
+              <span className="segment-stats">
+                {entry.wordCount} words | ~{entry.estimatedSeconds}s
+              </span>
+            </div>
+            <div className="preview-segment-text">{entry.dialogue}</div>
+
+            <div className="plan-fields">
+              <label>
+                Location
+                <input
+                  type="text"
+                  value={entry.location}
+                  onChange={(e) => updateSegment(index, 'location', e.target.value)}
+                />
+              </label>
+              <label>
+                Camera
+                {renderSelect(index, 'camera', CAMERA_OPTIONS)}
+              </label>
+              <label>
+                Time of Day
+                {renderSelect(index, 'timeOfDay', TIME_OPTIONS)}
+              </label>
+              <label>
+                Energy
+                <input
+                  type="text"
+                  value={entry.energy}
+                  onChange={(e) => updateSegment(index, 'energy', e.target.value)}
+                />
+              </label>
+              <label>
+                Emotion
+                <input
+                  type="text"
+                  value={entry.emotion}
+                  placeholder="optional"
+                  onChange={(e) => updateSegment(index, 'emotion', e.target.value)}
+                />
+              </label>
+              <label>
+                Product Interaction
+                <input
+                  type="text"
+                  value={entry.productInteraction}
+                  placeholder="optional"
+                  onChange={(e) => updateSegment(index, 'productInteraction', e.target.value)}
+                />
+              </label>
+              <label className="plan-field-wide">
+                Transition Notes
+                <input
+                  type="text"
+                  value={entry.transition}
+                  placeholder="derived from locations at render time"
+                  onChange={(e) => updateSegment(index, 'transition', e.target.value)}
+                />
+              </label>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="plan-actions">
+        <button type="button" className="submit-button" onClick={onRender} disabled={loading}>
+          {loading ? 'Rendering...' : 'Render Segments From Plan'}
+        </button>
+        <button type="button" className="preview-reset-button" onClick={onDiscard} disabled={loading}>
+          Discard plan
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default PlanEditor;
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import SettingsDisplay from './SettingsDisplay';
 import JSONEditor from './JSONEditor';
 
+const formatUsd = (cost) => `$${cost.toFixed(4)}`;
+
 function ResultsDisplay({ results }) {
   const { segments, metadata, settings } = results;
   const [displayedSegments, setDisplayedSegments] = useState([]);
@@ -28,6 +30,12 @@ function ResultsDisplay({ results }) {
     setLocalSegments(segments || []);
   }, [segments]);
 
+  // Base description fields that were not verbatim in a segment
+  const driftedFields = (index) => (metadata.baseDescriptionDrift?.segments[index]?.fields || [])
+    .filter(field => field.status !== 'verbatim');
+
+  const dialogueCheck = (index) => metadata.dialogue?.segments[index];
+
   const handleSegmentUpdate = (index, updatedSegment) => {
     const newSegments = [...localSegments];
     newSegments[index] = updatedSegment;
@@ -52,6 +60,47 @@ function ResultsDisplay({ results }) {
         <p><strong>Total Segments:</strong> {metadata.totalSegments}</p>
         <p><strong>Estimated Duration:</strong> {metadata.estimatedDuration} seconds</p>
         <p><strong>Character ID:</strong> {metadata.characterId}</p>
+        {metadata.baseDescriptionDrift && (
+          <p>
+            <strong>Base Description Drift:</strong>{' '}
+            {metadata.baseDescriptionDrift.driftedSegments.length} of {segments.length} segments
+            {metadata.baseDescriptionDrift.policy === 'overwrite'
+              ? ` (${metadata.baseDescriptionDrift.overwritten} fields restored)`
+              : ' (flagged only)'}
+          </p>
+        )}
+        {metadata.dialogue && (
+          <p>
+            <strong>Script Check:</strong>{' '}
+            {metadata.dialogue.script.matches
+              ? 'Dialogue matches the script'
+              : 'Dialogue differs from the script'}
+            {metadata.dialogue.mismatchedSegments.length > 0 &&
+              ` (${metadata.dialogue.mismatchedSegments.length} segments reworded, ${metadata.dialogue.policy === 'correct' ? 'corrected' : 'flagged'})`}
+          </p>
+        )}
+        {metadata.dialogue?.script.diff && (
+          <p className="dialogue-diff">{metadata.dialogue.script.diff}</p>
+        )}
+        {metadata.llmUsage && (
+          <>
+            <p>
+              <strong>Generation Cost:</strong>{' '}
+              {formatUsd(metadata.llmUsage.total.cost)} for {metadata.llmUsage.total.totalTokens.toLocaleString()} tokens
+              in {metadata.llmUsage.total.calls} calls
+              {metadata.llmUsage.unpricedModels.length > 0 &&
+                ` (no price for ${metadata.llmUsage.unpricedModels.join(', ')})`}
+            </p>
+            <ul className="llm-usage-steps">
+              {Object.entries(metadata.llmUsage.steps).map(([step, usage]) => (
+                <li key={step}>
+                  {step}: {formatUsd(usage.cost)}, {usage.promptTokens.toLocaleString()} in / {usage.completionTokens.toLocaleString()} out
+                  {usage.calls > 1 && ` (${usage.calls} calls)`}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
         {currentIndex < segments.length && (
           <p className="generation-progress">
             <strong>Generating:</strong> {currentIndex + 1} of {segments.length} segments...
@@ -89,12 +138,27 @@ function ResultsDisplay({ results }) {
                 <span className="word-count">
                   {segment.action_timeline?.dialogue?.split(/\s+/).length || 0} words
                 </span>
+                {dialogueCheck(index)?.status === 'mismatch' && (
+                  <div className="drift-warning">
+                    Model reworded this line ({dialogueCheck(index).action}):
+                    <p className="dialogue-diff">{dialogueCheck(index).diff}</p>
+                  </div>
+                )}
               </div>
               
               <div className="segment-field">
                 <strong>Location:</strong> {segment.segment_info?.location || 'N/A'}
               </div>
-              
+
+              {segment.segment_info?.directives && (
+                <div className="segment-field">
+                  <strong>Script Directives:</strong>{' '}
+                  {Object.entries(segment.segment_info.directives)
+                    .map(([key, value]) => `${key}: ${value}`)
+                    .join(', ')}
+                </div>
+              )}
+
               <div className="segment-field">
                 <strong>Camera:</strong> {segment.scene_continuity?.camera_position || 'N/A'}
               </div>
@@ -107,6 +171,17 @@ function ResultsDisplay({ results }) {
                 </p>
               </div>
               
+              {metadata.baseDescriptionDrift && (
+                <div className={`segment-field ${driftedFields(index).length ? 'drift-warning' : ''}`}>
+                  <strong>Base Descriptions:</strong>{' '}
+                  {driftedFields(index).length === 0
+                    ? 'Verbatim'
+                    : driftedFields(index)
+                      .map(field => `${field.field} ${field.status} (${Math.round(field.similarity * 100)}% similar, ${field.action})`)
+                      .join('; ')}
+                </div>
+              )}
+
               {segment.character_description?.voice_matching && (
                 <div className="segment-field">
                   <strong>Voice Matching:</strong>
@@ -1,4 +1,6 @@
 import React, { useState, useEffect } from 'react';
+import ScriptPreview from './ScriptPreview';
+import TemplateSelector from './TemplateSelector';
 
 function ScriptForm({ onSubmit, loading }) {
   const [formData, setFormData] = useState({
@@ -9,6 +11,7 @@ function ScriptForm({ onSubmit, loading }) {
     room: 'living room',
     style: 'casual and friendly',
     jsonFormat: 'standard', // 'standard' or 'enhanced'
+    templateId: '', // '' uses the default template for jsonFormat
     settingMode: 'single', // 'single', 'home-tour', 'indoor-outdoor'
     locations: [], // for mixed locations
     cameraStyle: 'static-handheld',
@@ -20,13 +23,14 @@ function ScriptForm({ onSubmit, loading }) {
     voiceType: 'warm-friendly',
     energyLevel: '80',
     targetWordsPerSegment: '20',
+    concurrency: '1',
+    scriptSegments: null, // manual boundaries from the preview
     showPreview: false,
     ethnicity: '',
     characterFeatures: '',
     accentRegion: 'neutral-american'
   });
   
-  const [scriptPreview, setScriptPreview] = useState([]);
   const [savedSettings, setSavedSettings] = useState([]);
 
   // Load saved settings on component mount
@@ -63,6 +67,13 @@ function ScriptForm({ onSubmit, loading }) {
         [name]: value,
         locations: defaultLocations
       });
+    } else if (name === 'script' || name === 'targetWordsPerSegment') {
+      // Manual boundaries no longer match the edited script
+      setFormData({
+        ...formData,
+        [name]: value,
+        scriptSegments: null
+      });
     } else {
       setFormData({
         ...formData,
@@ -85,78 +96,13 @@ function ScriptForm({ onSubmit, loading }) {
     onSubmit(formData);
   };
 
-  // Script preview logic
-  const previewScript = () => {
-    if (!formData.script || formData.script.trim().length < 50) {
-      setScriptPreview([]);
-      return;
-    }
-
-    const targetWords = parseInt(formData.targetWordsPerSegment) || 20;
-    const minWords = Math.max(15, targetWords - 5);
-    const maxWords = targetWords + 2;
-    
-    // Split into sentences
-    const sentences = formData.script.match(/[^.!?]+[.!?]+/g) || [formData.script];
-    
-    const segments = [];
-    let currentSegment = '';
-    let currentWordCount = 0;
-    
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i].trim();
-      const sentenceWords = sentence.split(/\s+/).length;
-      
-      if (currentSegment === '') {
-        currentSegment = sentence;
-        currentWordCount = sentenceWords;
-        
-        // Keep adding sentences until we meet minimum
-        while (currentWordCount < minWords && i + 1 < sentences.length) {
-          i++;
-          const nextSentence = sentences[i].trim();
-          const nextWords = nextSentence.split(/\s+/).length;
-          
-          if (currentWordCount + nextWords > maxWords) {
-            if (currentWordCount < minWords) {
-              currentSegment += ' ' + nextSentence;
-              currentWordCount += nextWords;
-            } else {
-              i--;
-              break;
-            }
-          } else {
-            currentSegment += ' ' + nextSentence;
-            currentWordCount += nextWords;
-          }
-        }
-        
-        segments.push({
-          text: currentSegment,
-          wordCount: currentWordCount,
-          duration: Math.round((currentWordCount / 2.5) * 10) / 10 // Approximate seconds
-        });
-        currentSegment = '';
-        currentWordCount = 0;
-      }
-    }
-    
-    setScriptPreview(segments);
-  };
-
-  // Update preview when script or target words change
-  useEffect(() => {
-    if (formData.showPreview) {
-      previewScript();
-    }
-  }, [formData.script, formData.targetWordsPerSegment, formData.showPreview]);
-
   // Save/Load Settings Functions
   const saveSettings = () => {
     const settingsToSave = { ...formData };
     // Remove script and preview state from saved settings
     delete settingsToSave.script;
     delete settingsToSave.showPreview;
+    delete settingsToSave.scriptSegments;
     
     const settingName = prompt('Enter a name for these settings:');
     if (settingName) {
@@ -192,6 +138,7 @@ function ScriptForm({ onSubmit, loading }) {
         ...formData,
         ...setting.settings,
         script: formData.script, // Keep current script
+        scriptSegments: formData.scriptSegments,
         showPreview: false
       });
       alert(`Settings "${settingName}" loaded!`);
@@ -261,7 +208,7 @@ function ScriptForm({ onSubmit, loading }) {
           minLength={50}
         />
         <p className="form-help-text">
-          Each segment needs 15-22 words (6-8 seconds of speaking). Short sentences will be automatically combined.
+          Each segment needs 15-22 words (6-8 seconds of speaking). Short sentences will be automatically combined. Use a blank line or || to place a cut yourself.
         </p>
       </div>
 
@@ -282,6 +229,19 @@ function ScriptForm({ onSubmit, loading }) {
         </p>
       </div>
 
+      <div className="form-group">
+        <label htmlFor="concurrency">Segment Generation</label>
+        <select id="concurrency" name="concurrency" value={formData.concurrency} onChange={handleChange}>
+          <option value="1">Sequential (each segment follows the previous one)</option>
+          <option value="2">Parallel - 2 at a time</option>
+          <option value="3">Parallel - 3 at a time</option>
+          <option value="4">Parallel - 4 at a time</option>
+        </select>
+        <p className="form-help-text">
+          Parallel mode plans start and end positions for every segment first, then checks each handoff and regenerates any segment that does not continue from the one before
+        </p>
+      </div>
+
       {formData.script && formData.script.trim().length >= 50 && (
         <div className="form-group">
           <button
@@ -294,28 +254,13 @@ function ScriptForm({ onSubmit, loading }) {
         </div>
       )}
 
-      {formData.showPreview && scriptPreview.length > 0 && (
-        <div className="script-preview">
-          <h3>Script Preview - {scriptPreview.length} Segments</h3>
-          <p className="preview-info">
-            Total duration: ~{scriptPreview.reduce((sum, seg) => sum + seg.duration, 0).toFixed(1)} seconds
-          </p>
-          <div className="preview-segments">
-            {scriptPreview.map((segment, index) => (
-              <div key={index} className="preview-segment">
-                <div className="preview-segment-header">
-                  <span className="segment-number">Segment {index + 1}</span>
-                  <span className="segment-stats">
-                    {segment.wordCount} words | ~{segment.duration}s
-                  </span>
-                </div>
-                <div className="preview-segment-text">
-                  {segment.text}
-                </div>
-              </div>
-            ))}
-          </div>
-        </div>
+      {formData.showPreview && (
+        <ScriptPreview
+          script={formData.script}
+          targetWordsPerSegment={formData.targetWordsPerSegment}
+          scriptSegments={formData.scriptSegments}
+          onSegmentsChange={(scriptSegments) => setFormData({ ...formData, scriptSegments })}
+        />
       )}
 
       <div className="form-group">
@@ -546,6 +491,15 @@ function ScriptForm({ onSubmit, loading }) {
         </select>
       </div>
 
+      <TemplateSelector
+        value={formData.templateId}
+        onChange={(templateId, template) => setFormData({
+          ...formData,
+          templateId,
+          ...(template && { jsonFormat: template.format })
+        })}
+      />
+
       <div className="form-group">
         <label htmlFor="jsonFormat">JSON Format</label>
         <select
@@ -553,6 +507,7 @@ function ScriptForm({ onSubmit, loading }) {
           name="jsonFormat"
           value={formData.jsonFormat}
           onChange={handleChange}
+          disabled={!!formData.templateId}
         >
           <option value="standard">Standard (300+ words)</option>
           <option value="enhanced">Enhanced Continuity (500+ words)</option>
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
+import ScriptPreview from './ScriptPreview';
+import TemplateSelector from './TemplateSelector';
 
-function ScriptFormPlus({ onSubmit, loading }) {
+function ScriptFormPlus({ onSubmit, onPlan, loading }) {
   const [formData, setFormData] = useState({
     script: '',
     ageRange: '25-34',
@@ -9,6 +11,7 @@ function ScriptFormPlus({ onSubmit, loading }) {
     room: 'living room',
     style: 'casual and friendly',
     jsonFormat: 'standard',
+    templateId: '',
     settingMode: 'ai-inspired', // default to AI Inspired in Plus
     locations: [],
     cameraStyle: 'ai-inspired',
@@ -20,6 +23,8 @@ function ScriptFormPlus({ onSubmit, loading }) {
     voiceType: 'warm-friendly',
     energyLevel: '80',
     targetWordsPerSegment: '20',
+    concurrency: '1',
+    scriptSegments: null, // manual boundaries from the preview
     showPreview: false,
     ethnicity: '',
     characterFeatures: '',
@@ -27,7 +32,6 @@ function ScriptFormPlus({ onSubmit, loading }) {
     accentRegion: 'neutral-american'
   });
 
-  const [scriptPreview, setScriptPreview] = useState([]);
   const [savedSettings, setSavedSettings] = useState([]);
 
   useEffect(() => {
@@ -64,6 +68,13 @@ function ScriptFormPlus({ onSubmit, loading }) {
         [name]: value,
         locations: defaultLocations
       });
+    } else if (name === 'script' || name === 'targetWordsPerSegment') {
+      // Manual boundaries no longer match the edited script
+      setFormData({
+        ...formData,
+        [name]: value,
+        scriptSegments: null
+      });
     } else {
       setFormData({
         ...formData,
@@ -86,72 +97,11 @@ function ScriptFormPlus({ onSubmit, loading }) {
     onSubmit(formData);
   };
 
-  const previewScript = () => {
-    if (!formData.script || formData.script.trim().length < 50) {
-      setScriptPreview([]);
-      return;
-    }
-
-    const targetWords = parseInt(formData.targetWordsPerSegment) || 20;
-    const minWords = Math.max(15, targetWords - 5);
-    const maxWords = targetWords + 2;
-
-    const sentences = formData.script.match(/[^.!?]+[.!?]+/g) || [formData.script];
-
-    const segments = [];
-    let currentSegment = '';
-    let currentWordCount = 0;
-
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i].trim();
-      const sentenceWords = sentence.split(/\s+/).length;
-
-      if (currentSegment === '') {
-        currentSegment = sentence;
-        currentWordCount = sentenceWords;
-
-        while (currentWordCount < minWords && i + 1 < sentences.length) {
-          i++;
-          const nextSentence = sentences[i].trim();
-          const nextWords = nextSentence.split(/\s+/).length;
-
-          if (currentWordCount + nextWords > maxWords) {
-            if (currentWordCount < minWords) {
-              currentSegment += ' ' + nextSentence;
-              currentWordCount += nextWords;
-            } else {
-              i--;
-              break;
-            }
-          } else {
-            currentSegment += ' ' + nextSentence;
-            currentWordCount += nextWords;
-          }
-        }
-
-        segments.push({
-          text: currentSegment,
-          wordCount: currentWordCount,
-          duration: Math.round((currentWordCount / 2.5) * 10) / 10
-        });
-        currentSegment = '';
-        currentWordCount = 0;
-      }
-    }
-
-    setScriptPreview(segments);
-  };
-
-  useEffect(() => {
-    if (formData.showPreview) {
-      previewScript();
-    }
-  }, [formData.script, formData.targetWordsPerSegment, formData.showPreview]);
-
   const saveSettings = () => {
     const settingsToSave = { ...formData };
     delete settingsToSave.script;
     delete settingsToSave.showPreview;
+    delete settingsToSave.scriptSegments;
 
     const settingName = prompt('Enter a name for these Standard Plus settings:');
     if (settingName) {
@@ -186,6 +136,7 @@ function ScriptFormPlus({ onSubmit, loading }) {
         ...formData,
         ...setting.settings,
         script: formData.script,
+        scriptSegments: formData.scriptSegments,
         showPreview: false
       });
       alert(`Settings "${settingName}" loaded!`);
@@ -259,7 +210,7 @@ function ScriptFormPlus({ onSubmit, loading }) {
           minLength={50}
         />
         <p className="form-help-text">
-          Each segment needs 15-22 words (6-8 seconds of speaking). Short sentences will be automatically combined.
+          Each segment needs 15-22 words (6-8 seconds of speaking). Short sentences will be automatically combined. Use a blank line or || to place a cut yourself.
         </p>
       </div>
 
@@ -280,6 +231,19 @@ function ScriptFormPlus({ onSubmit, loading }) {
         </p>
       </div>
 
+      <div className="form-group">
+        <label htmlFor="concurrency">Segment Generation</label>
+        <select id="concurrency" name="concurrency" value={formData.concurrency} onChange={handleChange}>
+          <option value="1">Sequential (each segment follows the previous one)</option>
+          <option value="2">Parallel - 2 at a time</option>
+          <option value="3">Parallel - 3 at a time</option>
+          <option value="4">Parallel - 4 at a time</option>
+        </select>
+        <p className="form-help-text">
+          Parallel mode plans start and end positions for every segment first, then checks each handoff and regenerates any segment that does not continue from the one before
+        </p>
+      </div>
+
       {formData.script && formData.script.trim().length >= 50 && (
         <div className="form-group">
           <button
@@ -292,28 +256,13 @@ function ScriptFormPlus({ onSubmit, loading }) {
         </div>
       )}
 
-      {formData.showPreview && scriptPreview.length > 0 && (
-        <div className="script-preview">
-          <h3>Script Preview - {scriptPreview.length} Segments</h3>
-          <p className="preview-info">
-            Total duration: ~{scriptPreview.reduce((sum, seg) => sum + seg.duration, 0).toFixed(1)} seconds
-          </p>
-          <div className="preview-segments">
-            {scriptPreview.map((segment, index) => (
-              <div key={index} className="preview-segment">
-                <div className="preview-segment-header">
-                  <span className="segment-number">Segment {index + 1}</span>
-                  <span className="segment-stats">
-                    {segment.wordCount} words | ~{segment.duration}s
-                  </span>
-                </div>
-                <div className="preview-segment-text">
-                  {segment.text}
-                </div>
-              </div>
-            ))}
-          </div>
-        </div>
+      {formData.showPreview && (
+        <ScriptPreview
+          script={formData.script}
+          targetWordsPerSegment={formData.targetWordsPerSegment}
+          scriptSegments={formData.scriptSegments}
+          onSegmentsChange={(scriptSegments) => setFormData({ ...formData, scriptSegments })}
+        />
       )}
 
       <div className="form-group">
@@ -378,6 +327,15 @@ function ScriptFormPlus({ onSubmit, loading }) {
         <p className="form-help-text">Base energy level for delivery (50% = calm, 100% = highly enthusiastic)</p>
       </div>
 
+      <TemplateSelector
+        value={formData.templateId}
+        onChange={(templateId, template) => setFormData({
+          ...formData,
+          templateId,
+          ...(template && { jsonFormat: template.format })
+        })}
+      />
+
       <div className="form-section">
         <h3>Advanced Character Details</h3>
         <div className="form-group">
@@ -551,6 +509,11 @@ function ScriptFormPlus({ onSubmit, loading }) {
         </div>
       </div>
 
+      {onPlan && (
+        <button type="button" className="plan-button" disabled={loading} onClick={() => onPlan(formData)}>
+          {loading ? 'Working...' : 'Plan First (review before rendering)'}
+        </button>
+      )}
       <button type="submit" className="submit-button" disabled={loading}>
         {loading ? 'Generating...' : 'Generate Segments'}
       </button>
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { previewSplit } from '../api/client';
+
+// Renders the exact server-side split for a script (POST /api/split-preview).
+// Cuts between segments can be dragged to another sentence gap; the resulting
+// boundaries are reported through onSegmentsChange and sent as scriptSegments.
+function ScriptPreview({ script, targetWordsPerSegment, scriptSegments, onSegmentsChange }) {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [draggingCut, setDraggingCut] = useState(null);
+
+  useEffect(() => {
+    if (!script || script.trim().length < 50) {
+      setPreview(null);
+      return;
+    }
+
+    let cancelled = false;
+    // Debounce so typing does not fire a request per keystroke
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const result = await previewSplit({
+          script,
+          targetWordsPerSegment,
+          scriptSegments: scriptSegments || undefined
+        });
+        if (!cancelled) {
+          setPreview(result);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [script, targetWordsPerSegment, scriptSegments]);
+
+  if (error) {
+    return <div className="error-message">Preview failed: {error}</div>;
+  }
+
+  if (!preview) {
+    return loading ? <p className="preview-info">Loading preview...</p> : null;
+  }
+
+  const sentences = preview.segments.flatMap(segment => segment.sentences);
+  // Index of the first sentence of each segment; every index but the first is a cut
+  const starts = preview.segments.reduce(
+    (acc, segment) => [...acc, acc[acc.length - 1] + segment.sentences.length],
+    [0]
+  ).slice(0, -1);
+  const cuts = starts.slice(1);
+
+  const applyCuts = (nextCuts) => {
+    const sorted = [...new Set(nextCuts)]
+      .filter(cut => cut > 0 && cut < sentences.length)
+      .sort((a, b) => a - b);
+    const bounds = [0, ...sorted, sentences.length];
+    const groups = bounds.slice(0, -1).map((start, i) => sentences.slice(start, bounds[i + 1]).join(' '));
+    onSegmentsChange && onSegmentsChange(groups);
+  };
+
+  const handleGapDrop = (gapIndex) => {
+    if (draggingCut === null) return;
+    applyCuts([...cuts.filter(cut => cut !== draggingCut), gapIndex]);
+    setDraggingCut(null);
+  };
+
+  const renderGap = (gapIndex) => (
+    <span
+      key={`gap-${gapIndex}`}
+      className={`preview-gap ${draggingCut !== null ? 'drop-active' : ''}`}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={() => handleGapDrop(gapIndex)}
+      onClick={() => applyCuts([...cuts, gapIndex])}
+      title="Drop a cut here, or click to add one"
+    >
+      {' '}
+    </span>
+  );
+
+  return (
+    <div className="script-preview">
+      <h3>Script Preview - {preview.segments.length} Segments</h3>
+      <p className="preview-info">
+        Total duration: ~{preview.estimatedDuration.toFixed(1)} seconds | {preview.options.minWords}-{preview.options.maxWords} words per {preview.options.clipSeconds}s segment
+      </p>
+      <p className="preview-info">
+        {preview.mode === 'manual'
+          ? 'Using manual segment boundaries. '
+          : 'Automatic split. '}
+        Drag a ✂ cut to another gap between sentences, click a gap to add a cut, or click a cut to remove it.
+        {scriptSegments && onSegmentsChange && (
+          <button type="button" className="preview-reset-button" onClick={() => onSegmentsChange(null)}>
+            Reset to automatic split
+          </button>
+        )}
+      </p>
+      <div className="preview-segments">
+        {preview.segments.map((segment, index) => (
+          <React.Fragment key={index}>
+            {index > 0 && (
+              <div
+                className={`preview-cut ${draggingCut === starts[index] ? 'dragging' : ''}`}
+                draggable
+                onDragStart={() => setDraggingCut(starts[index])}
+                onDragEnd={() => setDraggingCut(null)}
+                onClick={() => applyCuts(cuts.filter(cut => cut !== starts[index]))}
+                title="Drag to move this cut, click to remove it"
+              >
+                ✂
+              </div>
+            )}
+            <div className={`preview-segment ${segment.warnings.length > 0 ? 'has-warning' : ''}`}>
+              <div className="preview-segment-header">
+                <span className="segment-number">Segment {index + 1}</span>
+                <span className="segment-stats">
+                  {segment.wordCount} words | ~{segment.estimatedSeconds}s
+                </span>
+              </div>
+              <div className="preview-segment-text">
+                {segment.sentences.map((sentence, i) => (
+                  <React.Fragment key={i}>
+                    {i > 0 && renderGap(starts[index] + i)}
+                    <span className="preview-sentence">{sentence}</span>
+                  </React.Fragment>
+                ))}
+              </div>
+              {segment.warnings.map((warning, i) => (
+                <div key={i} className="preview-segment-warning">⚠️ {warning}</div>
+              ))}
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ScriptPreview;
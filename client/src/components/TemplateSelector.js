@@ -0,0 +1,43 @@
+import React, { useState, useEffect } from 'react';
+import { listTemplates } from '../api/client';
+
+// Picks an instruction template by id; an empty value keeps the default
+// template for the JSON format. onChange receives (templateId, template).
+function TemplateSelector({ value, onChange, formats = ['standard', 'enhanced'] }) {
+  const [templates, setTemplates] = useState([]);
+
+  useEffect(() => {
+    listTemplates()
+      .then(setTemplates)
+      .catch(error => console.error('Failed to load templates:', error));
+  }, []);
+
+  const available = templates.filter(template => formats.includes(template.format));
+  const selected = available.find(template => template.id === value);
+
+  const handleChange = (e) => {
+    const templateId = e.target.value;
+    onChange(templateId, available.find(template => template.id === templateId) || null);
+  };
+
+  return (
+    <div className="form-group">
+      <label htmlFor="templateId">Instruction Template</label>
+      <select id="templateId" name="templateId" value={value || ''} onChange={handleChange}>
+        <option value="">Default for the JSON format</option>
+        {available.map(template => (
+          <option key={template.id} value={template.id}>
+            {template.name} ({template.format}{template.source === 'custom' ? ', custom' : ''})
+          </option>
+        ))}
+      </select>
+      <p className="form-help-text">
+        {selected
+          ? `Segments follow ${selected.file || 'this custom template'} and are checked against the ${selected.format} format (${selected.requiredFields.length} required fields)`
+          : 'Built-in templates from instructions/ and custom templates added through /api/templates'}
+      </p>
+    </div>
+  );
+}
+
+export default TemplateSelector;
@@ -1,13 +1,47 @@
-import React, { useState } from 'react';
-import { generateVideos, generateVideosFalAI } from '../api/client';
+import React, { useState, useEffect } from 'react';
+import { listVideoProviders, estimateVideoCost, generateProviderVideos, getVideoJob, retryVideoJob } from '../api/client';
 import APISelector from './APISelector';
 
-function VideoGenerator({ segments }) {
+const OPTION_LABELS = {
+  '16:9': '16:9 (Landscape)',
+  '9:16': '9:16 (Portrait)',
+  '720p': '720p (HD)',
+  '1080p': '1080p (Full HD)'
+};
+
+const optionLabel = (value) => OPTION_LABELS[value] || value.replace(/^(\d+)s$/, '$1 seconds');
+
+// The chosen value when the provider supports it, otherwise its first supported value
+const supported = (value, values) => (values.includes(value) ? value : values[0]);
+
+const POLL_MS = 15000;
+const MAX_POLL_MS = 120000;
+
+// Copy the recorded status of a job's segments onto the videos `shouldUpdate` selects
+const withRecorded = (videos, job, shouldUpdate) => videos.map((video, index) => {
+  const recorded = job.segments[index];
+  if (!recorded || !shouldUpdate(video)) return video;
+  return {
+    ...video,
+    success: recorded.status !== 'failed',
+    requestId: recorded.requestId,
+    status: recorded.status,
+    videoUrl: recorded.videoUrl,
+    cost: recorded.cost,
+    error: recorded.error
+  };
+});
+
+function VideoGenerator({ segments, runId }) {
   const [loading, setLoading] = useState(false);
   const [videos, setVideos] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [poll, setPoll] = useState({ delay: POLL_MS, checks: 0 });
   const [error, setError] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
+  const [providers, setProviders] = useState([]);
   const [selectedAPI, setSelectedAPI] = useState('gemini');
+  const [estimate, setEstimate] = useState(null);
   const [videoOptions, setVideoOptions] = useState({
     aspectRatio: '16:9',
     duration: '8s',
@@ -16,20 +50,79 @@ function VideoGenerator({ segments }) {
     useFast: true // Always use fast generation for optimal performance
   });
 
+  const provider = providers.find(p => p.id === selectedAPI);
+  const capabilities = provider?.capabilities;
+
+  // Only the options the selected provider understands, each set to a value it supports
+  const requestOptions = {};
+  if (capabilities) {
+    if (capabilities.aspectRatios.length > 0) {
+      requestOptions.aspectRatio = supported(videoOptions.aspectRatio, capabilities.aspectRatios);
+    }
+    if (capabilities.durations.length > 0) {
+      requestOptions.duration = supported(videoOptions.duration, capabilities.durations);
+    }
+    if (capabilities.resolutions.length > 0) {
+      requestOptions.resolution = supported(videoOptions.resolution, capabilities.resolutions);
+    }
+    if (capabilities.audio === 'optional') {
+      requestOptions.generateAudio = videoOptions.generateAudio;
+    }
+    if (capabilities.actualVideo) {
+      requestOptions.useFast = videoOptions.useFast;
+    }
+  }
+
+  useEffect(() => {
+    listVideoProviders()
+      .then(setProviders)
+      .catch(err => setError(err.message));
+  }, []);
+
+  // Recompute the estimate whenever the provider, options or segment count change
+  const optionsKey = JSON.stringify(requestOptions);
+  useEffect(() => {
+    if (!provider) return;
+    let cancelled = false;
+    estimateVideoCost(selectedAPI, segments.length, JSON.parse(optionsKey))
+      .then(result => { if (!cancelled) setEstimate(result); })
+      .catch(err => {
+        console.error('Cost estimate failed:', err);
+        if (!cancelled) setEstimate(null);
+      });
+    return () => { cancelled = true; };
+  }, [provider, selectedAPI, segments.length, optionsKey]);
+
+  // Videos that were still processing when generation returned are checked
+  // with one request for the whole job every 15 seconds (the server follows
+  // them with the provider), backing off while the server is rate limiting
+  useEffect(() => {
+    if (!jobId || !videos?.some(video => video.status === 'processing')) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        const job = await getVideoJob(jobId);
+        setVideos(current => withRecorded(current, job, video => video.status === 'processing'));
+        setPoll(({ checks }) => ({ delay: POLL_MS, checks: checks + 1 }));
+      } catch (err) {
+        console.error('Video job status check failed:', err);
+        setPoll(({ delay, checks }) => ({
+          delay: err.status === 429 ? Math.min(delay * 2, MAX_POLL_MS) : POLL_MS,
+          checks: checks + 1
+        }));
+      }
+    }, poll.delay);
+    return () => clearTimeout(timer);
+  }, [jobId, videos, poll]);
+
   const handleGenerateVideos = async () => {
     setLoading(true);
     setError(null);
     
     try {
-      let result;
-      
-      if (selectedAPI === 'falai') {
-        result = await generateVideosFalAI(segments, videoOptions);
-      } else {
-        result = await generateVideos(segments);
-      }
-      
+      const result = await generateProviderVideos(selectedAPI, segments, requestOptions, runId);
       setVideos(result.videos);
+      setJobId(result.jobId);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -37,24 +130,31 @@ function VideoGenerator({ segments }) {
     }
   };
 
-  const getCostDisplay = () => {
-    switch (selectedAPI) {
-      case 'gemini':
-        return 'Free (descriptions only)';
-      case 'falai':
-        const seconds = parseInt(videoOptions.duration.replace(/[^0-9]/g, '')) || 8;
-        const rate = videoOptions.generateAudio ? 0.40 : 0.20;
-        return `$${(segments.length * seconds * rate).toFixed(2)} (${seconds}s × $${rate}/s × ${segments.length} segments)`;
-      case 'kieai':
-        return `$${(segments.length * 0.40).toFixed(2)} ($0.40 × ${segments.length} segments)`;
-      default:
-        return 'Unknown';
+  // The server resubmits only the failed segments; their new submissions replace the failed entries
+  const handleRetryFailed = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { job } = await retryVideoJob(jobId);
+      setVideos(current => withRecorded(current, job, video => !video.success));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
     }
   };
 
+  const getCostDisplay = () => {
+    if (!provider || !estimate) return 'Unknown';
+    if (estimate.perSegment === 0) return provider.pricing;
+    return `$${estimate.amount.toFixed(2)} ($${estimate.perSegment.toFixed(2)} × ${segments.length} segments)`;
+  };
+
   const handleAPIChange = (apiId) => {
     setSelectedAPI(apiId);
     setVideos(null); // Clear previous results
+    setJobId(null);
     setError(null);
   };
 
@@ -65,73 +165,53 @@ function VideoGenerator({ segments }) {
     }));
   };
 
+  const optionSelect = (label, key, values) => (
+    <div className="option-group">
+      <label>{label}:</label>
+      <select 
+        value={requestOptions[key]}
+        onChange={(e) => handleVideoOptionsChange(key, e.target.value)}
+        disabled={loading}
+      >
+        {values.map(value => (
+          <option key={value} value={value}>{optionLabel(value)}</option>
+        ))}
+      </select>
+    </div>
+  );
+
   return (
     <div className="video-generator">
       <h3>Video Generation</h3>
       
       <APISelector 
+        providers={providers}
         selectedAPI={selectedAPI}
         onAPIChange={handleAPIChange}
         disabled={loading}
       />
 
-      {selectedAPI === 'falai' && (
+      {capabilities?.actualVideo && (
         <div className="video-options">
           <h4>Video Options</h4>
           <div className="options-grid">
-            <div className="option-group">
-              <label>Aspect Ratio:</label>
-              <select 
-                value={videoOptions.aspectRatio}
-                onChange={(e) => handleVideoOptionsChange('aspectRatio', e.target.value)}
-                disabled={loading}
-              >
-                <option value="16:9">16:9 (Landscape)</option>
-                <option value="9:16">9:16 (Portrait)</option>
-              </select>
-            </div>
+            {capabilities.aspectRatios.length > 1 && optionSelect('Aspect Ratio', 'aspectRatio', capabilities.aspectRatios)}
+            {capabilities.durations.length > 1 && optionSelect('Duration', 'duration', capabilities.durations)}
+            {capabilities.resolutions.length > 1 && optionSelect('Resolution', 'resolution', capabilities.resolutions)}
             
-            <div className="option-group">
-              <label>Duration:</label>
-              <select 
-                value={videoOptions.duration}
-                onChange={(e) => handleVideoOptionsChange('duration', e.target.value)}
-                disabled={loading}
-              >
-                <option value="5s">5 seconds</option>
-                <option value="6s">6 seconds</option>
-                <option value="7s">7 seconds</option>
-                <option value="8s">8 seconds</option>
-              </select>
-            </div>
-            
-            <div className="option-group">
-              <label>Resolution:</label>
-              <select 
-                value={videoOptions.resolution}
-                onChange={(e) => handleVideoOptionsChange('resolution', e.target.value)}
-                disabled={loading}
-              >
-                <option value="720p">720p (HD)</option>
-                <option value="1080p">1080p (Full HD)</option>
-              </select>
-            </div>
-            
-            <div className="option-group">
-              <label>
-                <input 
-                  type="checkbox"
-                  checked={videoOptions.generateAudio}
-                  onChange={(e) => handleVideoOptionsChange('generateAudio', e.target.checked)}
-                  disabled={loading}
-                />
-                Generate Audio
-              </label>
-            </div>
-            
-            <div className="option-group fast-generation-note">
-              <small>⚡ Fast generation is automatically enabled for optimal performance</small>
-            </div>
+            {capabilities.audio === 'optional' && (
+              <div className="option-group">
+                <label>
+                  <input 
+                    type="checkbox"
+                    checked={videoOptions.generateAudio}
+                    onChange={(e) => handleVideoOptionsChange('generateAudio', e.target.checked)}
+                    disabled={loading}
+                  />
+                  Generate Audio
+                </label>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -144,11 +224,10 @@ function VideoGenerator({ segments }) {
       <button 
         className="generate-videos-button"
         onClick={handleGenerateVideos}
-        disabled={loading}
+        disabled={loading || !provider}
       >
         {loading ? 'Processing...' : 
-          selectedAPI === 'falai' ? 'Generate Videos' :
-          selectedAPI === 'kieai' ? 'Generate Videos' :
+          capabilities?.actualVideo ? 'Generate Videos' :
           'Generate Video Descriptions'}
       </button>
 
@@ -161,18 +240,17 @@ function VideoGenerator({ segments }) {
       {videos && (
         <div className="videos-results">
           <h4>
-            {selectedAPI === 'falai' ? 'Video Generation Results' :
-             selectedAPI === 'kieai' ? 'Video Generation Results' :
-             'Video Description Results'}
+            {capabilities?.actualVideo ? 'Video Generation Results' : 'Video Description Results'}
           </h4>
           
           <p className="video-status">
-            {selectedAPI === 'falai' || selectedAPI === 'kieai' 
-              ? `✅ Generated videos for ${videos.filter(v => v.success).length}/${videos.length} segments`
+            {capabilities?.actualVideo
+              ? `✅ Generated videos for ${videos.filter(v => v.success && v.status !== 'processing').length}/${videos.length} segments${
+                videos.some(v => v.status === 'processing') ? ` (${videos.filter(v => v.status === 'processing').length} still processing)` : ''}`
               : `✅ Generated descriptions for all ${videos.length} segments`}
           </p>
           
-          {selectedAPI === 'falai' && (
+          {capabilities?.actualVideo && (
             <div className="video-grid">
               {videos.map((video, index) => (
                 <div key={index} className={`video-result ${video.success ? 'success' : 'error'}`}>
@@ -201,6 +279,9 @@ function VideoGenerator({ segments }) {
                           </div>
                         </div>
                       )}
+                      {video.status === 'processing' && (
+                        <p className="video-processing">⏳ Processing on {provider.name}...</p>
+                      )}
                       <div className="video-metadata">
                         <p><strong>Duration:</strong> {video.duration}</p>
                         <p><strong>Status:</strong> {video.status}</p>
@@ -217,6 +298,16 @@ function VideoGenerator({ segments }) {
             </div>
           )}
           
+          {jobId && videos.some(video => !video.success) && (
+            <button 
+              className="retry-failed-button"
+              onClick={handleRetryFailed}
+              disabled={loading}
+            >
+              {loading ? 'Retrying...' : `Retry ${videos.filter(video => !video.success).length} Failed Segments`}
+            </button>
+          )}
+
           <button 
             className="toggle-details-button"
             onClick={() => setShowDetails(!showDetails)}
@@ -251,13 +342,12 @@ function VideoGenerator({ segments }) {
           )}
           
           <div className="api-note">
-            {selectedAPI === 'falai' && (
+            {capabilities?.actualVideo ? (
               <>
-                <p><strong>FalAI Integration:</strong> Generating actual video files using Google's Veo3 model.</p>
-                <p>Videos are generated with realistic UGC quality and can be downloaded individually.</p>
+                <p><strong>{provider.name} Integration:</strong> Generating actual video files ({provider.pricing}).</p>
+                <p>Videos can be downloaded individually. Videos still processing are checked automatically and appear here when ready.</p>
               </>
-            )}
-            {selectedAPI === 'gemini' && (
+            ) : (
               <>
                 <p><strong>Note:</strong> This generates detailed video descriptions that can be used with Google's Veo 3 API once available.</p>
                 <p>The descriptions include camera angles, character states, dialogue timing, and scene continuity for seamless video generation.</p>
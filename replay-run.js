@@ -0,0 +1,101 @@
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+dotenv.config();
+
+// Replays are offline unless LLM_CACHE=record is given explicitly
+process.env.LLM_CACHE = process.env.LLM_CACHE || 'replay';
+
+// Entry point for runs without run.json (e.g. the committed runs/plus fixtures)
+const METHOD_BY_KIND = {
+  standard: 'generate',
+  plus: 'generate-plus',
+  'new-cont': 'generate-new-cont'
+};
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+async function replayRun() {
+  const [runDir, ...rest] = process.argv.slice(2);
+  const outIndex = rest.indexOf('--out');
+  const outFile = outIndex >= 0 ? rest[outIndex + 1] : null;
+
+  if (!runDir) {
+    console.log('Usage: [LLM_CACHE=record] node replay-run.js runs/<kind>/<runId> [--out result.json]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const dir = path.resolve(runDir);
+  const inputs = await readJson(path.join(dir, 'inputs.json'));
+  if (!inputs) {
+    console.error(`❌ No inputs.json in ${dir}`);
+    process.exitCode = 1;
+    return;
+  }
+  const status = (await readJson(path.join(dir, 'run.json'))) || {};
+  const method = status.method || METHOD_BY_KIND[path.basename(path.dirname(dir))];
+
+  const { default: OpenAIService } = await import('./api/services/openaiService.js');
+  const { default: OpenAIServicePlus } = await import('./api/services/openaiService.plus.js');
+  const methods = {
+    'generate': () => OpenAIService.generateSegments(inputs),
+    'generate-continuation': () => OpenAIService.generateSegmentsWithVoiceProfile(inputs),
+    'generate-new-cont': () => OpenAIService.generateSegmentsWithVoiceProfile(inputs),
+    'generate-plus': () => OpenAIServicePlus.generateSegments(inputs),
+    'render-plan': async () => {
+      const { plan } = await readJson(path.join(dir, 'plan.json'));
+      return OpenAIServicePlus.renderPlan(inputs, plan);
+    }
+  };
+  if (!methods[method]) {
+    console.error(`❌ Cannot replay method "${method || 'unknown'}"`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // An edited template renders different prompts, which were never recorded
+  const { default: TemplateService } = await import('./api/services/templateService.js');
+  for (const used of status.templates || []) {
+    const current = used.id.startsWith('prompts/')
+      ? await TemplateService.prompt(used.id.slice('prompts/'.length)).catch(() => null)
+      : await TemplateService.get(used.id);
+    if (!current) {
+      console.warn(`⚠️  Template ${used.id} no longer exists`);
+    } else if (current.hash !== used.hash) {
+      console.warn(`⚠️  Template ${used.id} changed since the run (${used.hash} -> ${current.hash}${current.version ? `, now version ${current.version}` : ''})`);
+      if (used.version && await TemplateService.getVersion(used.id, used.version)) {
+        console.warn(`   Version ${used.version} is kept: GET /api/templates/${used.id}/versions/${used.version}`);
+      }
+    }
+  }
+
+  console.log(`${process.env.LLM_CACHE === 'record' ? 'Recording' : 'Replaying'} ${method} from ${runDir}...\n`);
+  // No run is attached, so the replay reads nothing from and writes nothing to the run directory
+  const result = await methods[method]();
+
+  // Identical fingerprints mean the replay produced identical segments
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify(result.segments)).digest('hex');
+  console.log(`\n✅ ${result.segments.length} segments`);
+  console.log(`Validation: ${result.metadata.validation.valid ? 'valid' : `invalid segments ${result.metadata.validation.invalidSegments.join(', ')}`}`);
+  console.log(`Segments fingerprint: ${fingerprint}`);
+
+  if (outFile) {
+    await fs.writeFile(outFile, JSON.stringify(result, null, 2));
+    console.log(`Result written to ${outFile}`);
+  }
+}
+
+replayRun().catch(error => {
+  console.error('❌ Replay failed:', error.message);
+  process.exitCode = 1;
+});
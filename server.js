@@ -4,6 +4,7 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { markInterruptedRuns } from './utils/runStore.js';
 
 // ES module compatibility
 const __filename = fileURLToPath(import.meta.url);
@@ -23,15 +24,34 @@ console.log(`Working Directory: ${process.cwd()}`);
 console.log(`Script Location: ${__filename}`);
 console.log('='.repeat(60));
 
+// Read after dotenv so LLM_* settings from .env apply
+const { default: LLMProvider } = await import('./api/services/llmProvider.js');
+const { loadStepConfig } = await import('./utils/llmSettings.js');
+const { loadPriceTable } = await import('./utils/llmUsage.js');
+
 // Validate critical environment variables
 const validateEnvironment = () => {
   const errors = [];
   const warnings = [];
   
-  // Check required variables
-  if (!process.env.OPENAI_API_KEY) {
-    errors.push('OPENAI_API_KEY is missing - Required for script generation');
+  // Script generation fails per request until the LLM provider is configured
+  const llmError = LLMProvider.configurationError();
+  if (llmError) {
+    warnings.push(`${llmError} - Script generation will fail until the LLM provider is configured`);
   } else {
+    console.log(`✓ LLM provider ready: ${LLMProvider.name} (${LLMProvider.model})`);
+  }
+  try {
+    loadStepConfig();
+  } catch (error) {
+    errors.push(`Invalid LLM step settings - ${error.message}`);
+  }
+  try {
+    loadPriceTable();
+  } catch (error) {
+    errors.push(`Invalid LLM price table - ${error.message}`);
+  }
+  if (process.env.OPENAI_API_KEY) {
     console.log('✓ OpenAI API Key found:', `${process.env.OPENAI_API_KEY.substring(0, 7)}...`);
   }
   
@@ -89,10 +109,19 @@ if (errors.length > 0) {
 }
 
 // Import routes after environment validation
-let generateRoute, generateContinuationRoute, generatePlusRoute, generateNewContRoute, generateVideosFalAIRoute;
+let splitPreviewRoute, jobsRoute, templatesRoute, generateRoute, generateContinuationRoute, generatePlusRoute, generateNewContRoute, runsRoute, videoProvidersRoute, videoJobsRoute, generateVideosFalAIRoute, generateVideosKieAIRoute;
 
 try {
   console.log('\nLoading route modules...');
+  splitPreviewRoute = await import('./api/routes/splitPreview.js');
+  console.log('✓ Loaded splitPreview.js');
+  
+  jobsRoute = await import('./api/routes/jobs.js');
+  console.log('✓ Loaded jobs.js');
+  
+  templatesRoute = await import('./api/routes/templates.js');
+  console.log('✓ Loaded templates.js');
+  
   generateRoute = await import('./api/routes/generate.js');
   console.log('✓ Loaded generate.js');
   
@@ -105,8 +134,20 @@ try {
   generateNewContRoute = await import('./api/routes/generate.newcont.js');
   console.log('✓ Loaded generate.newcont.js');
   
+  runsRoute = await import('./api/routes/runs.js');
+  console.log('✓ Loaded runs.js');
+  
+  videoProvidersRoute = await import('./api/routes/videoProviders.js');
+  console.log('✓ Loaded videoProviders.js');
+  
+  videoJobsRoute = await import('./api/routes/videoJobs.js');
+  console.log('✓ Loaded videoJobs.js');
+  
   generateVideosFalAIRoute = await import('./api/routes/generateVideosFalAI.js');
   console.log('✓ Loaded generateVideosFalAI.js');
+  
+  generateVideosKieAIRoute = await import('./api/routes/generateVideosKieAI.js');
+  console.log('✓ Loaded generateVideosKieAI.js');
 } catch (error) {
   console.error('❌ Failed to load route modules:', error.message);
   console.error('Stack trace:', error.stack);
@@ -147,11 +188,20 @@ app.use(express.json({ limit: '10mb' }));
 
 // API Routes (before static files)
 try {
+  // Registered first so live previews, job polling, template lookups and video
+  // status checks are not counted by the generation rate limiters
+  app.use('/api', splitPreviewRoute.default);
+  app.use('/api', jobsRoute.default);
+  app.use('/api', templatesRoute.default);
+  app.use('/api', videoProvidersRoute.default);
+  app.use('/api', videoJobsRoute.default);
+  app.use('/api', generateVideosFalAIRoute.default);
+  app.use('/api', generateVideosKieAIRoute.default);
   app.use('/api', generateRoute.default);
   app.use('/api', generateContinuationRoute.default);
   app.use('/api', generatePlusRoute.default);
   app.use('/api', generateNewContRoute.default);
-  app.use('/api', generateVideosFalAIRoute.default);
+  app.use('/api', runsRoute.default);
   console.log('✓ All API routes registered');
 } catch (error) {
   console.error('❌ Failed to register routes:', error);
@@ -178,6 +228,7 @@ app.get('/api/health', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     node: process.version,
     memory: process.memoryUsage(),
+    llm: LLMProvider.describe(),
     apis: {
       openai: !!process.env.OPENAI_API_KEY,
       gemini: !!process.env.GOOGLE_GEMINI_API_KEY,
@@ -336,6 +387,15 @@ const gracefulShutdown = (signal) => {
   return server;
 };
 
+// Runs still marked running were cut off when the previous server process stopped
+const interruptedRuns = await markInterruptedRuns().catch((error) => {
+  console.error('⚠️  Could not check for interrupted runs:', error.message);
+  return 0;
+});
+if (interruptedRuns > 0) {
+  console.log(`⚠️  Marked ${interruptedRuns} unfinished run(s) as interrupted; they can be resumed`);
+}
+
 // Start the server
 const server = gracefulShutdown('STARTUP');
 
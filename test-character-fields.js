@@ -0,0 +1,95 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Prompts go to the mock provider, so no API key or credits are needed
+process.env.LLM_PROVIDER = 'mock';
+process.env.SEGMENT_REPAIR_ATTEMPTS = '0';
+process.env.BASE_DESCRIPTION_EXPAND_ATTEMPTS = '0';
+
+const characterFields = {
+  ethnicity: 'South Asian',
+  characterFeatures: 'freckles and a small nose ring',
+  clothingDetails: 'mustard corduroy jacket',
+  accentRegion: 'scottish',
+  voiceType: 'raspy-low',
+  energyLevel: '65',
+  narrativeStyle: 'storytelling'
+};
+
+const params = {
+  ...characterFields,
+  script: 'I tried this jar for a week and my mornings are calmer than ever.',
+  scriptPart: 'I tried this jar for a week and my mornings are calmer than ever.',
+  ageRange: '25-34',
+  gender: 'female',
+  product: 'jar',
+  room: 'kitchen',
+  style: 'casual and friendly',
+  settingMode: 'single',
+  jsonFormat: 'standard',
+  segmentNumber: 1,
+  totalSegments: 1,
+  currentLocation: 'kitchen',
+  camera: 'static-handheld',
+  energy: '65% - steady',
+  template: { content: '' },
+  baseDescriptions: { physical: 'p', clothing: 'c', environment: 'e', voice: 'v', productHandling: 'h' },
+  voiceProfile: { baseVoice: 'v', technical: {} }
+};
+
+async function captureFirstPrompt(llm, call) {
+  const prompts = [];
+  const chat = llm.chat;
+  llm.chat = (step, request, settings) => {
+    prompts.push(request.messages.filter(m => m.role === 'user').map(m => m.content).join('\n'));
+    return chat.call(llm, step, request, settings);
+  };
+  try {
+    await call();
+  } finally {
+    llm.chat = chat;
+  }
+  return prompts[0] || '';
+}
+
+async function testCharacterFields() {
+  console.log('Testing that advanced character fields reach the prompts...\n');
+
+  const { default: OpenAIService } = await import('./api/services/openaiService.js');
+  const { default: OpenAIServicePlus } = await import('./api/services/openaiService.plus.js');
+  const { default: LLMProvider } = await import('./api/services/llmProvider.js');
+
+  const cases = {
+    'Standard base descriptions': () => OpenAIService.generateBaseDescriptions(params, params.template),
+    'Standard segment': () => OpenAIService.generateSegment(params),
+    'Animal base descriptions': () => OpenAIService.generateBaseDescriptions({ ...params, avatarMode: 'animal', animal: { species: 'tiger' } }, params.template),
+    'Continuation segment': () => OpenAIService.generateContinuationStyleSegment(params),
+    'Continuation voice profile': () => OpenAIService.extractDetailedVoiceProfile({ action_timeline: { dialogue: params.scriptPart } }, params),
+    'Screenshot continuation segment': () => OpenAIService.generateContinuationSegment(params),
+    'Plus base descriptions': () => OpenAIServicePlus.generateBaseDescriptions(params, params.template),
+    'Plus segment': () => OpenAIServicePlus.generateSegment(params)
+  };
+
+  // Appearance and clothing do not apply to animal avatars
+  const animalFields = ['characterFeatures', 'energyLevel', 'narrativeStyle'];
+
+  let failures = 0;
+  for (const [name, call] of Object.entries(cases)) {
+    const prompt = await captureFirstPrompt(LLMProvider, call);
+    const expected = name.startsWith('Animal') ? animalFields : Object.keys(characterFields);
+    const missing = expected.filter(field => !prompt.includes(characterFields[field]));
+
+    if (missing.length === 0) {
+      console.log(`✅ ${name}`);
+    } else {
+      failures++;
+      console.log(`❌ ${name} is missing: ${missing.join(', ')}`);
+    }
+  }
+
+  console.log(failures === 0 ? '\nAll prompts include the character fields' : `\n${failures} prompts are missing character fields`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testCharacterFields();
@@ -0,0 +1,70 @@
+import { splitScript } from './utils/scriptSplitter.js';
+import { segmentSentences } from './utils/sentenceSegmenter.js';
+import { extractDirectives } from './utils/scriptDirectives.js';
+
+// The splitter logs every run; keep the output to the test results
+const log = console.log;
+console.log = () => {};
+console.warn = () => {};
+
+const fourteenWords = 'One two three four five six seven eight nine ten eleven twelve thirteen fourteen.';
+const bounds = { minWords: 15, targetWords: 20, maxWords: 22 };
+
+function sameList(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+const cases = {
+  'Abbreviations do not end a sentence': () => {
+    const sentences = segmentSentences('Dr. Smith from the U.S. swears by it. I do too.');
+    return sameList(sentences, ['Dr. Smith from the U.S. swears by it.', 'I do too.']) || sentences;
+  },
+  'Decimals and prices do not end a sentence': () => {
+    const sentences = segmentSentences('It costs $19.99 and lasts 3.5 weeks. Worth it.');
+    return sameList(sentences, ['It costs $19.99 and lasts 3.5 weeks.', 'Worth it.']) || sentences;
+  },
+  'Closing quotes stay with their sentence': () => {
+    const sentences = segmentSentences('She said "this changed everything." Then she left.');
+    return sameList(sentences, ['She said "this changed everything."', 'Then she left.']) || sentences;
+  },
+  'A directive before punctuation leaves no gap': () => {
+    const { text, marks } = extractDirectives('I counted to two [emotion: happy]. Then more');
+    return (text === 'I counted to two. Then more' && marks[0].wordIndex === 3) || { text, marks };
+  },
+  'Unknown bracket keys stay in the dialogue': () => {
+    const { text, marks } = extractDirectives('[Note: limited offer] Grab it [camera: slow-push] today.');
+    return (text === '[Note: limited offer] Grab it today.' && marks.length === 1) || { text, marks };
+  },
+  'Segments never go over maxWords': () => {
+    const counts = splitScript(Array(4).fill(fourteenWords).join(' '), bounds).segments.map(s => s.wordCount);
+    return sameList(counts, [14, 14, 14, 14]) || counts;
+  },
+  'Short sentences are joined up to minWords': () => {
+    const counts = splitScript(`Short one here. ${fourteenWords} ${fourteenWords} Tail end.`, bounds).segments.map(s => s.wordCount);
+    return sameList(counts, [17, 16]) || counts;
+  },
+  'A short final sentence joins the segment before it': () => {
+    const counts = splitScript(`${fourteenWords} Yes.`, bounds).segments.map(s => s.wordCount);
+    return sameList(counts, [15]) || counts;
+  }
+};
+
+function testScriptSplitting() {
+  log('Testing sentence detection, directives and segment bounds...\n');
+
+  let failures = 0;
+  for (const [name, check] of Object.entries(cases)) {
+    const result = check();
+    if (result === true) {
+      log(`✅ ${name}`);
+    } else {
+      failures++;
+      log(`❌ ${name}: got ${JSON.stringify(result)}`);
+    }
+  }
+
+  log(failures === 0 ? '\nScript splitting behaves as expected' : `\n${failures} script splitting checks failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testScriptSplitting();
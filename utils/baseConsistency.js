@@ -0,0 +1,103 @@
+// Base descriptions are meant to appear word-for-word in every segment, but
+// the model may paraphrase them. This post-generation pass compares each
+// segment's character_description with the canonical text and either
+// overwrites drifted fields or only flags them.
+
+/**
+ * Segment fields checked against base descriptions. `physical` and
+ * `clothing` must equal the base text; `voice_matching` also carries the
+ * inflection for the segment's own lines, so it must contain the base voice.
+ */
+function checkedFields(baseDescriptions, avatarMode) {
+  if (avatarMode === 'animal') {
+    return [
+      { field: 'physical', base: baseDescriptions.animal_physical, match: 'exact' },
+      { field: 'voice_matching', base: baseDescriptions.animal_voice, match: 'contains' }
+    ];
+  }
+  return [
+    { field: 'physical', base: baseDescriptions.physical, match: 'exact' },
+    { field: 'clothing', base: baseDescriptions.clothing, match: 'exact' },
+    { field: 'voice_matching', base: baseDescriptions.voice, match: 'contains' }
+  ];
+}
+
+function normalize(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ');
+}
+
+function words(text) {
+  return normalize(text).toLowerCase().split(' ').filter(Boolean);
+}
+
+// Word-level similarity: 2 * longest common subsequence / total words
+function similarity(a, b) {
+  const left = words(a);
+  const right = words(b);
+  if (left.length === 0 || right.length === 0) return 0;
+
+  let previous = new Array(right.length + 1).fill(0);
+  for (const word of left) {
+    const current = [0];
+    for (let j = 0; j < right.length; j++) {
+      current.push(word === right[j] ? previous[j] + 1 : Math.max(previous[j + 1], current[j]));
+    }
+    previous = current;
+  }
+  return Math.round((2 * previous[right.length] / (left.length + right.length)) * 100) / 100;
+}
+
+function checkField(value, { base, match }) {
+  if (!value) return { status: 'missing', similarity: 0 };
+
+  const verbatim = match === 'exact'
+    ? normalize(value) === normalize(base)
+    : normalize(value).includes(normalize(base));
+  if (verbatim) return { status: 'verbatim', similarity: 1 };
+
+  // For "contains" fields, compare against the part the base text should occupy
+  const compared = match === 'exact' ? value : words(value).slice(0, words(base).length).join(' ');
+  return { status: 'drifted', similarity: similarity(compared, base) };
+}
+
+function restoreField(value, { base, match }) {
+  if (match === 'exact' || !value) return base;
+  return `${base} ${value}`;
+}
+
+/**
+ * Check every segment against the base descriptions. With the `overwrite`
+ * policy drifted or missing fields are restored to the canonical text (in
+ * place); with `flag` they are only reported. Returns the drift report:
+ * { policy, driftedSegments, overwritten, segments: [{ segmentNumber, fields }] }
+ */
+export function enforceBaseDescriptions(segments, baseDescriptions, { policy = 'overwrite', avatarMode } = {}) {
+  const fields = checkedFields(baseDescriptions || {}, avatarMode).filter(({ base }) => base);
+  const overwrite = policy !== 'flag';
+
+  const report = segments.map((segment, index) => {
+    const description = segment.character_description || {};
+    return {
+      segmentNumber: index + 1,
+      fields: fields.map((spec) => {
+        const result = checkField(description[spec.field], spec);
+        if (result.status === 'verbatim') return { field: spec.field, ...result, action: null };
+
+        if (overwrite) {
+          description[spec.field] = restoreField(description[spec.field], spec);
+          segment.character_description = description;
+        }
+        return { field: spec.field, ...result, action: overwrite ? 'overwritten' : 'flagged' };
+      })
+    };
+  });
+
+  return {
+    policy: overwrite ? 'overwrite' : 'flag',
+    driftedSegments: report
+      .filter(entry => entry.fields.some(field => field.status !== 'verbatim'))
+      .map(entry => entry.segmentNumber),
+    overwritten: report.reduce((total, entry) => total + entry.fields.filter(field => field.action === 'overwritten').length, 0),
+    segments: report
+  };
+}
@@ -0,0 +1,79 @@
+import { countWords } from './segmentSchemas.js';
+
+// Base descriptions are pasted word-for-word into every segment, so a thin
+// description repeats in every clip. Short fields are sent back for expansion
+// up to BASE_DESCRIPTION_EXPAND_ATTEMPTS times.
+
+const DEFAULT_EXPAND_ATTEMPTS = 2;
+
+function expandAttempts() {
+  const attempts = parseInt(process.env.BASE_DESCRIPTION_EXPAND_ATTEMPTS ?? DEFAULT_EXPAND_ATTEMPTS, 10);
+  return Number.isFinite(attempts) && attempts >= 0 ? attempts : DEFAULT_EXPAND_ATTEMPTS;
+}
+
+/**
+ * Word count of every field against its minimum:
+ * { valid, shortFields, fields: { name: { words, minimum, meetsMinimum } } }
+ */
+export function wordCountReport(descriptions, minimums) {
+  const fields = Object.fromEntries(Object.entries(minimums).map(([name, minimum]) => {
+    const words = countWords(descriptions?.[name]);
+    return [name, { words, minimum, meetsMinimum: words >= minimum }];
+  }));
+  const shortFields = Object.keys(fields).filter(name => !fields[name].meetsMinimum);
+
+  return { valid: shortFields.length === 0, shortFields, fields };
+}
+
+/**
+ * Expand base description fields that are missing or under their word
+ * minimum. The model sees all descriptions so expansions stay consistent
+ * with the rest; fields that already pass are never rewritten.
+ */
+export async function ensureWordMinimums(llm, descriptions, minimums, { settings, logPrefix = '[BaseDescriptions]' } = {}) {
+  let current = descriptions;
+  let report = wordCountReport(current, minimums);
+
+  for (let attempt = 1; attempt <= expandAttempts() && !report.valid; attempt++) {
+    console.log(`${logPrefix} Expanding short base descriptions (attempt ${attempt}):`, report.shortFields.join(', '));
+    const response = await llm.chat('base-description-expand', {
+      messages: [
+        {
+          role: 'system',
+          content: 'You expand character and setting descriptions for an AI video generator. Keep every existing detail and add concrete, visual specifics; never contradict what is already described. Return only JSON.'
+        },
+        {
+          role: 'user',
+          content: `Current base descriptions:
+${JSON.stringify(current, null, 2)}
+
+These fields are below their word minimum:
+${report.shortFields.map(name => `- ${name}: ${report.fields[name].words} words, needs ${report.fields[name].minimum}+`).join('\n')}
+
+Return a JSON object with only these keys, each rewritten to meet its minimum.`
+        }
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0.3,
+      max_tokens: 4000
+    }, settings);
+
+    let expanded;
+    try {
+      expanded = JSON.parse(response.choices[0].message.content);
+    } catch (error) {
+      console.warn(`${logPrefix} Expansion response was not valid JSON; keeping the current descriptions:`, error.message);
+      break;
+    }
+    const updates = Object.fromEntries(report.shortFields
+      .filter(name => typeof expanded?.[name] === 'string' && countWords(expanded[name]) > report.fields[name].words)
+      .map(name => [name, expanded[name]]));
+    current = { ...current, ...updates };
+    report = wordCountReport(current, minimums);
+  }
+
+  if (!report.valid) {
+    console.warn(`${logPrefix} Base descriptions still under their word minimum:`, report.shortFields.join(', '));
+  }
+  return current;
+}
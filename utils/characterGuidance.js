@@ -0,0 +1,37 @@
+// Advanced character and delivery fields from the forms (ethnicity,
+// features, clothing, accent, voice type, energy level, narrative style).
+// Every prompt that shapes the character reads them through these helpers,
+// so standard, continuation and Plus modes describe the same person.
+
+function characterLines(params) {
+  const lines = [];
+  if (params.avatarMode !== 'animal') {
+    lines.push(
+      `Ethnicity/Appearance: ${params.ethnicity || 'unspecified'}`,
+      `Specific Features: ${params.characterFeatures || 'unspecified'}`,
+      `Clothing Details: ${params.clothingDetails || 'unspecified'}`,
+      `Accent/Region: ${params.accentRegion || 'neutral-american'}`,
+      `Voice Type: ${params.voiceType || 'warm-friendly'}`
+    );
+  } else if (params.characterFeatures) {
+    lines.push(`Specific Features: ${params.characterFeatures}`);
+  }
+
+  lines.push(
+    `Baseline Energy Level: ${params.energyLevel || '80'}%`,
+    `Narrative Style: ${params.narrativeStyle || 'direct-review'}`
+  );
+  return lines;
+}
+
+// Lines for the base description and voice profile prompts
+export function describeCharacter(params) {
+  return characterLines(params).join('\n');
+}
+
+// Block for segment prompts; the base descriptions already carry these
+// details, so the block only guards against contradicting them
+export function characterGuidance(params) {
+  return `Character Guidance (MUST NOT CONTRADICT BASE):
+${characterLines(params).map(line => `- ${line}`).join('\n')}`;
+}
@@ -0,0 +1,217 @@
+import { checkpoint, segmentStep } from './runStore.js';
+
+// Continuity handoff for parallel segment generation. Start/end positions are
+// planned for every segment up front so segments can render concurrently;
+// a post-pass then verifies that each segment ends where the next one starts.
+
+const MAX_CONCURRENCY = 6;
+const MATCH_THRESHOLD = 0.6;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'with', 'of', 'to', 'in', 'on', 'at', 'her', 'his', 'their',
+  'is', 'are', 'while', 'slightly', 'still'
+]);
+
+/**
+ * Segments rendered at once: request value, then SEGMENT_CONCURRENCY, else 1
+ * (strictly sequential, each prompt reads the previous segment).
+ */
+export function resolveConcurrency(value) {
+  const requested = parseInt(value ?? process.env.SEGMENT_CONCURRENCY ?? 1, 10);
+  if (!Number.isFinite(requested) || requested < 1) return 1;
+  return Math.min(requested, MAX_CONCURRENCY);
+}
+
+/**
+ * Like Promise.all(items.map(fn)) but with at most `limit` calls in flight.
+ * After the first rejection no new items are started; the calls already in
+ * flight are allowed to settle before that first error is rethrown, so
+ * nothing is still running (or writing checkpoints) once the caller sees it.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  let firstError;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        if (!failed) {
+          failed = true;
+          firstError = error;
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  if (failed) throw firstError;
+  return results;
+}
+
+function fallbackHandoffs(locations) {
+  return locations.map((location) => ({
+    end: `Seated comfortably in the ${location}, facing the camera, product held at chest height`
+  }));
+}
+
+/**
+ * Plan start/end positions for all segments in one call. Each start is the
+ * previous segment's end, so the plan is continuous by construction.
+ */
+export async function planHandoffs(llm, { dialogues, locations, product, settings, logPrefix = '[Continuity]' }) {
+  console.log(`${logPrefix} Planning continuity handoffs for ${dialogues.length} segments`);
+  let planned;
+  try {
+    const response = await llm.chat('handoffs', {
+      messages: [
+        {
+          role: 'system',
+          content: 'You plan physical continuity for consecutive 8-second UGC video clips of one on-camera character. Positions are concrete (posture, hands, product placement, gaze). The character never walks out of frame. Return only JSON.'
+        },
+        {
+          role: 'user',
+          content: `Product: ${product || 'N/A'}
+
+Segments:
+${dialogues.map((dialogue, i) => `${i + 1}. [${locations[i]}] "${dialogue}"`).join('\n')}
+
+Return a JSON object with 'opening_position' (the character's position when segment 1 starts) and 'end_positions', an array of ${dialogues.length} strings: where the character is at the end of each segment. When the next segment is in a different location, the end position should be a stable hold that suits a cut.`
+        }
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0.3,
+      max_tokens: 1500
+    }, settings);
+    planned = JSON.parse(response.choices[0].message.content);
+  } catch (error) {
+    console.error(`${logPrefix} Handoff planning failed, using stationary positions:`, error);
+  }
+
+  const fallback = fallbackHandoffs(locations);
+  const ends = dialogues.map((_, i) => String(planned?.end_positions?.[i] || fallback[i].end));
+  const opening = String(planned?.opening_position || `Settled in the ${locations[0]}, facing the camera`);
+
+  return ends.map((end, i) => ({
+    segmentNumber: i + 1,
+    start: i === 0 ? opening : ends[i - 1],
+    end
+  }));
+}
+
+/**
+ * Prompt lines that pin a segment to its planned handoff.
+ */
+export function describeHandoff(handoff) {
+  return `Planned continuity (copy these into segment_info.continuity_markers exactly as written):
+- start_position: "${handoff.start}"
+- end_position: "${handoff.end}"
+The segment must open in the start position and finish in the end position; set action_timeline.transition_prep to the end position.`;
+}
+
+export function startPosition(segment) {
+  return segment?.segment_info?.continuity_markers?.start_position || '';
+}
+
+export function endPosition(segment) {
+  return segment?.segment_info?.continuity_markers?.end_position
+    || segment?.action_timeline?.transition_prep
+    || '';
+}
+
+function contentWords(text) {
+  return new Set(
+    String(text).toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+      .filter(word => word && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * Loose equality for two position descriptions: identical after
+ * normalisation, or a high share of shared content words.
+ */
+export function positionsMatch(a, b) {
+  const left = contentWords(a);
+  const right = contentWords(b);
+  if (left.size === 0 || right.size === 0) return false;
+
+  const shared = [...left].filter(word => right.has(word)).length;
+  return (2 * shared) / (left.size + right.size) >= MATCH_THRESHOLD;
+}
+
+function checkPair(previous, next, index) {
+  const previousEnd = endPosition(previous);
+  const nextStart = startPosition(next);
+  return {
+    from: index,
+    to: index + 1,
+    previousEnd,
+    nextStart,
+    matches: positionsMatch(previousEnd, nextStart)
+  };
+}
+
+/**
+ * Post-pass: every segment must start where the previous one ended. A
+ * mismatching segment is regenerated once through `regenerate(index,
+ * previousSegment)`, which renders it sequentially against the actual
+ * previous segment, as the sequential mode would.
+ */
+export async function enforceContinuity(segments, regenerate) {
+  const checks = [];
+
+  for (let i = 1; i < segments.length; i++) {
+    let check = checkPair(segments[i - 1], segments[i], i);
+    if (!check.matches) {
+      segments[i] = await regenerate(i, segments[i - 1]);
+      check = { ...checkPair(segments[i - 1], segments[i], i), repaired: true };
+    }
+    checks.push(check);
+  }
+
+  return {
+    checks,
+    repaired: checks.filter(check => check.repaired).length,
+    unresolved: checks.filter(check => !check.matches).length
+  };
+}
+
+/**
+ * Parallel mode: plan handoffs, render all segments with at most
+ * `concurrency` in flight, then run the continuity post-pass.
+ * `render(index, previousSegment, handoff)` produces one finished segment.
+ */
+export async function renderWithHandoffs({ llm, settings, run, concurrency, dialogues, locations, product, render, onProgress = () => {}, logPrefix }) {
+  const total = dialogues.length;
+  onProgress({ step: 'handoffs', total });
+  const handoffs = await checkpoint(run, 'handoffs', () =>
+    planHandoffs(llm, { dialogues, locations, product, settings, logPrefix })
+  );
+
+  console.log(`${logPrefix} Rendering ${total} segments, ${concurrency} at a time`);
+  const segments = await mapWithConcurrency(handoffs, concurrency, async (handoff, i) => {
+    onProgress({ step: 'segment', current: i + 1, total });
+    const segment = await checkpoint(run, segmentStep(i + 1), () => render(i, null, handoff));
+    onProgress({ step: 'segment', current: i + 1, total, segment });
+    return segment;
+  });
+
+  const report = await enforceContinuity(segments, async (i, previousSegment) => {
+    console.log(`${logPrefix} Segment ${i + 1} does not start where segment ${i} ends; regenerating`);
+    onProgress({ step: 'continuity', current: i + 1, total });
+    const segment = await render(i, previousSegment, { ...handoffs[i], start: endPosition(previousSegment) });
+    if (run) await run.save(segmentStep(i + 1), segment);
+    onProgress({ step: 'continuity', current: i + 1, total, segment });
+    return segment;
+  });
+  console.log(`${logPrefix} Continuity post-pass: ${report.repaired} repaired, ${report.unresolved} unresolved`);
+
+  return {
+    segments,
+    continuity: { mode: 'parallel', concurrency, handoffs, ...report }
+  };
+}
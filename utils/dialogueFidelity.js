@@ -0,0 +1,110 @@
+// The spoken line of every segment must be the approved script, word for
+// word. The model receives each chunk but may reword, trim or wrap it in
+// quotes; this pass compares action_timeline.dialogue with its source chunk
+// and either restores the source text or reports a word diff.
+
+// Only differences in typography are forgiven: smart quotes, dashes,
+// whitespace, stray backslashes and quotes wrapped around the whole line
+export function normalizeDialogue(text) {
+  let normalized = String(text || '')
+    .replace(/\\(["'])/g, '$1')
+    .replace(/[“”„«»]/g, '"')
+    .replace(/[‘’‚]/g, "'")
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  while (/^(["']).*\1$/.test(normalized) && normalized.length > 1) {
+    normalized = normalized.slice(1, -1).trim();
+  }
+  return normalized;
+}
+
+/**
+ * Word diff in git's --word-diff style: `[-word-]` is in the script but not
+ * spoken, `{+word+}` is spoken but not in the script.
+ */
+export function wordDiff(expected, actual) {
+  const left = normalizeDialogue(expected).split(' ').filter(Boolean);
+  const right = normalizeDialogue(actual).split(' ').filter(Boolean);
+
+  // Longest common subsequence table, filled from the end
+  const table = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      table[i][j] = left[i] === right[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, word) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.words.push(word);
+    else parts.push({ type, words: [word] });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      push('same', left[i++]);
+      j++;
+    } else if (i < left.length && (j === right.length || table[i + 1][j] >= table[i][j + 1])) {
+      push('missing', left[i++]);
+    } else {
+      push('extra', right[j++]);
+    }
+  }
+
+  return parts.map(({ type, words }) => {
+    const text = words.join(' ');
+    if (type === 'missing') return `[-${text}-]`;
+    if (type === 'extra') return `{+${text}+}`;
+    return text;
+  }).join(' ');
+}
+
+function checkDialogue(dialogue, source) {
+  if (dialogue === source) return { status: 'exact' };
+  if (normalizeDialogue(dialogue) === normalizeDialogue(source)) return { status: 'normalized' };
+  return { status: 'mismatch', diff: wordDiff(source, dialogue) };
+}
+
+/**
+ * Compare each segment's dialogue with `sources[i]`. Typography-only
+ * differences are always cleaned up. Real mismatches are replaced by the
+ * source text in place with the `correct` policy (default), or only reported
+ * with `flag`. The dialogue of all segments joined is then checked against
+ * `script`.
+ * Returns { policy, mismatchedSegments, corrected, segments, script }.
+ */
+export function enforceDialogue(segments, sources, { policy = 'correct', script = sources.join(' ') } = {}) {
+  const correct = policy !== 'flag';
+
+  const results = segments.map((segment, index) => {
+    const source = sources[index] || '';
+    const result = checkDialogue(segment.action_timeline?.dialogue, source);
+    if (result.status === 'exact') return { segmentNumber: index + 1, ...result, action: null };
+
+    if (!correct && result.status === 'mismatch') {
+      return { segmentNumber: index + 1, ...result, action: 'flagged' };
+    }
+    segment.action_timeline = { ...(segment.action_timeline || {}), dialogue: source };
+    return { segmentNumber: index + 1, ...result, action: 'corrected' };
+  });
+
+  const reconstructed = segments.map(segment => normalizeDialogue(segment.action_timeline?.dialogue)).join(' ');
+  const matches = normalizeDialogue(reconstructed) === normalizeDialogue(script);
+
+  return {
+    policy: correct ? 'correct' : 'flag',
+    mismatchedSegments: results.filter(result => result.status === 'mismatch').map(result => result.segmentNumber),
+    corrected: results.filter(result => result.action === 'corrected').length,
+    segments: results,
+    script: {
+      matches,
+      ...(!matches && { diff: wordDiff(script, reconstructed) })
+    }
+  };
+}
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_CACHE_DIR = path.join(__dirname, '../cache/llm');
+
+export const LLM_CACHE_MODES = ['off', 'record', 'replay'];
+
+export function llmCacheMode() {
+  return (process.env.LLM_CACHE || 'off').toLowerCase();
+}
+
+export function llmCacheDir() {
+  return process.env.LLM_CACHE_DIR ? path.resolve(process.env.LLM_CACHE_DIR) : DEFAULT_CACHE_DIR;
+}
+
+// Same value, keys sorted and undefined dropped, so equal requests hash equally
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => [key, canonical(value[key])])
+    );
+  }
+  return value;
+}
+
+// Content address of a chat request: model, messages and every parameter
+export function llmCacheKey(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(request))).digest('hex');
+}
+
+/**
+ * Wrap a chat backend ({ create(request, step) }) with the on-disk cache.
+ * - record: every call goes to `backend` and its response is written to
+ *   <cache dir>/<key>.json, replacing an earlier recording
+ * - replay: responses come only from disk; a request that was never
+ *   recorded fails, and `backend` is not used
+ * - off: `backend` unchanged
+ */
+export function withLLMCache(backend, mode = llmCacheMode()) {
+  if (mode !== 'record' && mode !== 'replay') return backend;
+  const dir = llmCacheDir();
+
+  return {
+    async create(request, step) {
+      const key = llmCacheKey(request);
+      const file = path.join(dir, `${key}.json`);
+
+      if (mode === 'replay') {
+        let entry;
+        try {
+          entry = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+          throw new Error(`No recorded response for step "${step}" (${key.slice(0, 12)}) in ${dir}; record it first with LLM_CACHE=record`);
+        }
+        console.log(`[LLM Cache] Replayed ${step} (${key.slice(0, 12)})`);
+        return entry.response;
+      }
+
+      const response = await backend.create(request, step);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, JSON.stringify({
+        key,
+        step,
+        recordedAt: new Date().toISOString(),
+        request,
+        response
+      }, null, 2));
+      console.log(`[LLM Cache] Recorded ${step} (${key.slice(0, 12)})`);
+      return response;
+    }
+  };
+}
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createUsageLog } from './llmUsage.js';
+import { createPromptLog } from './promptLog.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Pipeline steps that call the chat model, as named in LLMProvider.chat()
+export const LLM_STEPS = [
+  'location-inference',
+  'camera-inference',
+  'base-descriptions',
+  'base-description-expand',
+  'handoffs',
+  'segment',
+  'voice-profile',
+  'continuation'
+];
+
+const SETTING_KEYS = ['model', 'temperature', 'max_tokens'];
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../config/llm.json');
+
+let stepConfig = null;
+
+/**
+ * Problem with a step settings object ({ default?, <step>?: { model,
+ * temperature, max_tokens } }), or null when it is valid. Used for the
+ * config file, the env and the `llmSettings` request field.
+ */
+export function llmSettingsError(settings, label = 'llmSettings') {
+  if (settings === undefined || settings === null) return null;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return `${label} must be an object keyed by step name`;
+  }
+
+  for (const [step, values] of Object.entries(settings)) {
+    if (step !== 'default' && !LLM_STEPS.includes(step)) {
+      return `${label}: unknown step "${step}", expected default or one of: ${LLM_STEPS.join(', ')}`;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return `${label}.${step} must be an object`;
+    }
+    for (const [key, value] of Object.entries(values)) {
+      if (!SETTING_KEYS.includes(key)) {
+        return `${label}.${step}.${key} is not supported, use ${SETTING_KEYS.join(', ')}`;
+      }
+      if (key === 'model' && (typeof value !== 'string' || !value.trim())) {
+        return `${label}.${step}.model must be a model name`;
+      }
+      if (key === 'temperature' && !(typeof value === 'number' && value >= 0 && value <= 2)) {
+        return `${label}.${step}.temperature must be a number from 0 to 2`;
+      }
+      if (key === 'max_tokens' && !(Number.isInteger(value) && value > 0)) {
+        return `${label}.${step}.max_tokens must be a positive integer`;
+      }
+    }
+  }
+  return null;
+}
+
+// LLM_<STEP>_MODEL, LLM_<STEP>_TEMPERATURE and LLM_<STEP>_MAX_TOKENS,
+// e.g. LLM_LOCATION_INFERENCE_MODEL=gpt-4o-mini
+function envSettings(step) {
+  const prefix = `LLM_${step.toUpperCase().replace(/-/g, '_')}_`;
+  const settings = {};
+  if (process.env[`${prefix}MODEL`]) settings.model = process.env[`${prefix}MODEL`];
+  if (process.env[`${prefix}TEMPERATURE`]) settings.temperature = Number(process.env[`${prefix}TEMPERATURE`]);
+  if (process.env[`${prefix}MAX_TOKENS`]) settings.max_tokens = Number(process.env[`${prefix}MAX_TOKENS`]);
+  return settings;
+}
+
+/**
+ * Step settings from the config file (LLM_CONFIG_FILE, default
+ * config/llm.json) and the env, validated and cached on first use. Throws
+ * on invalid settings so the server can refuse to start with them.
+ */
+export function loadStepConfig() {
+  if (stepConfig) return stepConfig;
+
+  const file = process.env.LLM_CONFIG_FILE ? path.resolve(process.env.LLM_CONFIG_FILE) : DEFAULT_CONFIG_FILE;
+  let fromFile = {};
+  if (fs.existsSync(file)) {
+    fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const error = llmSettingsError(fromFile, path.basename(file));
+    if (error) throw new Error(error);
+    console.log(`[LLM] Step settings loaded from ${file}`);
+  } else if (process.env.LLM_CONFIG_FILE) {
+    throw new Error(`LLM_CONFIG_FILE not found: ${file}`);
+  }
+
+  const fromEnv = Object.fromEntries(
+    LLM_STEPS.map(step => [step, envSettings(step)]).filter(([, settings]) => Object.keys(settings).length > 0)
+  );
+  const error = llmSettingsError(fromEnv, 'env');
+  if (error) throw new Error(error);
+
+  stepConfig = { file: fromFile, env: fromEnv };
+  return stepConfig;
+}
+
+/**
+ * Settings for one generation run. `resolve(step, defaults)` layers, from
+ * lowest to highest precedence: the call site's defaults (and LLM_MODEL),
+ * the config file, the env, then the request's `llmSettings`; each layer's
+ * `default` entry applies before its step entry. The values each step used
+ * are kept for `metadata.llmSettings`, `usage` collects the run's token
+ * usage for `metadata.llmUsage` and `prompts` every request it sent.
+ */
+export function createStepSettings(overrides = {}) {
+  const used = {};
+
+  return {
+    usage: createUsageLog(),
+    prompts: createPromptLog(),
+
+    resolve(step, defaults) {
+      const { file, env } = loadStepConfig();
+      const settings = {
+        ...defaults,
+        ...file.default,
+        ...file[step],
+        ...env[step],
+        ...overrides?.default,
+        ...overrides?.[step]
+      };
+      Object.keys(settings).forEach(key => settings[key] === undefined && delete settings[key]);
+
+      used[step] = { ...settings, calls: (used[step]?.calls || 0) + 1 };
+      return settings;
+    },
+
+    report() {
+      return used;
+    }
+  };
+}
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_PRICES_FILE = path.join(__dirname, '../config/llm-prices.json');
+
+// USD per 1M tokens. Override or extend with config/llm-prices.json (or
+// LLM_PRICES_FILE), same shape: { "<model>": { "input": 2.5, "output": 10 } }
+export const DEFAULT_LLM_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 }
+};
+
+let priceTable = null;
+
+export function loadPriceTable() {
+  if (priceTable) return priceTable;
+
+  const file = process.env.LLM_PRICES_FILE ? path.resolve(process.env.LLM_PRICES_FILE) : DEFAULT_PRICES_FILE;
+  let fromFile = {};
+  if (fs.existsSync(file)) {
+    fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [model, price] of Object.entries(fromFile)) {
+      if (!(price?.input >= 0 && price?.output >= 0)) {
+        throw new Error(`${path.basename(file)}: "${model}" needs numeric input and output prices (USD per 1M tokens)`);
+      }
+    }
+    console.log(`[LLM] Prices loaded from ${file}`);
+  } else if (process.env.LLM_PRICES_FILE) {
+    throw new Error(`LLM_PRICES_FILE not found: ${file}`);
+  }
+
+  priceTable = { ...DEFAULT_LLM_PRICES, ...fromFile };
+  return priceTable;
+}
+
+// Exact model name first, then the longest listed prefix, so dated
+// snapshots like gpt-4o-2024-08-06 use the gpt-4o price
+export function priceFor(model) {
+  const prices = loadPriceTable();
+  if (prices[model]) return prices[model];
+  const prefix = Object.keys(prices)
+    .filter(name => model?.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Token usage of one generation run. `record(step, model, usage)` takes a
+ * chat completion's `usage`; `report()` gives tokens and USD per step and in
+ * total, for `metadata.llmUsage`. Calls to models missing from the price
+ * table count their tokens but no cost, and are listed in `unpricedModels`.
+ */
+export function createUsageLog() {
+  const steps = {};
+  const unpriced = new Set();
+
+  return {
+    record(step, model, usage = {}) {
+      const promptTokens = usage.prompt_tokens || 0;
+      const completionTokens = usage.completion_tokens || 0;
+      const price = priceFor(model);
+      if (!price) unpriced.add(model);
+
+      const totals = steps[step] || (steps[step] = emptyTotals());
+      totals.calls += 1;
+      totals.promptTokens += promptTokens;
+      totals.completionTokens += completionTokens;
+      totals.totalTokens += usage.total_tokens || promptTokens + completionTokens;
+      if (price) {
+        totals.cost += (promptTokens * price.input + completionTokens * price.output) / 1e6;
+      }
+    },
+
+    report() {
+      const total = emptyTotals();
+      const byStep = {};
+      for (const [step, totals] of Object.entries(steps)) {
+        byStep[step] = { ...totals, cost: roundCost(totals.cost) };
+        for (const key of Object.keys(total)) total[key] += totals[key];
+      }
+      total.cost = roundCost(total.cost);
+
+      return {
+        currency: 'USD',
+        steps: byStep,
+        total,
+        unpricedModels: [...unpriced]
+      };
+    }
+  };
+}
+
+/**
+ * Sum usage reports of the same run made by separate step settings, e.g. a
+ * plan's inference calls and the render of that plan. Anything that is not
+ * a report (a missing or hand-edited value) is skipped.
+ */
+export function mergeUsageReports(...reports) {
+  const steps = {};
+  const unpriced = new Set();
+  for (const report of reports) {
+    if (!report || typeof report.steps !== 'object') continue;
+    for (const [step, totals] of Object.entries(report.steps)) {
+      const merged = steps[step] || (steps[step] = emptyTotals());
+      for (const key of Object.keys(merged)) merged[key] += Number(totals?.[key]) || 0;
+    }
+    (report.unpricedModels || []).forEach(model => unpriced.add(model));
+  }
+
+  const total = emptyTotals();
+  for (const totals of Object.values(steps)) {
+    totals.cost = roundCost(totals.cost);
+    for (const key of Object.keys(total)) total[key] += totals[key];
+  }
+  total.cost = roundCost(total.cost);
+
+  return {
+    currency: 'USD',
+    steps,
+    total,
+    unpricedModels: [...unpriced]
+  };
+}
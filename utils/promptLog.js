@@ -0,0 +1,34 @@
+import { llmCacheKey } from './llmCache.js';
+
+/**
+ * Every chat request of one generation run, as sent: model, sampling and
+ * the rendered messages. Each is keyed like the LLM cache, so equal keys in
+ * two runs mean the model saw exactly the same prompt. `report()` lists the
+ * keys for `metadata.prompts`; `entries()` includes the messages and is
+ * saved with the run as prompts.json.
+ */
+export function createPromptLog() {
+  const entries = [];
+
+  return {
+    record(step, request) {
+      entries.push({
+        step,
+        key: llmCacheKey(request),
+        model: request.model,
+        temperature: request.temperature,
+        max_tokens: request.max_tokens,
+        messages: request.messages,
+        sentAt: new Date().toISOString()
+      });
+    },
+
+    report() {
+      return entries.map(({ step, key, model }) => ({ step, key, model }));
+    },
+
+    entries() {
+      return entries;
+    }
+  };
+}
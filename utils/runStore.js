@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mergeUsageReports } from './llmUsage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const runsRoot = path.join(__dirname, '../runs');
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+/**
+ * A generation run on disk: runs/<kind>/<runId>/ holds run.json (status),
+ * inputs.json, one file per completed step (split, plan, base-descriptions,
+ * voice-profile, segment_NN), prompts.json (every chat request sent),
+ * outputs.json once the run completes and segment_NN.mp4 for each clip
+ * downloaded from a video provider.
+ */
+class Run {
+  constructor(kind, runId) {
+    this.kind = kind;
+    this.runId = runId;
+    this.runPath = `runs/${kind}/${runId}`;
+    this.dir = path.join(runsRoot, kind, runId);
+  }
+
+  async load(name) {
+    return readJson(path.join(this.dir, `${name}.json`));
+  }
+
+  async save(name, data) {
+    await fs.writeFile(path.join(this.dir, `${name}.json`), JSON.stringify(data, null, 2));
+  }
+
+  async updateStatus(fields) {
+    const current = (await this.load('run')) || {};
+    await this.save('run', { ...current, ...fields, updatedAt: new Date().toISOString() });
+  }
+
+  // Segments persisted so far, in order, stopping at the first gap
+  async loadSegments() {
+    const segments = [];
+    for (let n = 1; ; n++) {
+      const segment = await this.load(segmentStep(n));
+      if (!segment) return segments;
+      segments.push(segment);
+    }
+  }
+
+  // The usage log of the current pass; complete() and fail() add it to run.json
+  trackUsage(usageLog) {
+    this.usageLog = usageLog;
+  }
+
+  // Usage of every pass so far, failed ones included: the saved report plus this pass
+  async usageSoFar(passUsage) {
+    const saved = (await this.load('run'))?.llmUsage;
+    return mergeUsageReports(saved, this.usageLog ? this.usageLog.report() : passUsage);
+  }
+
+  // Appends, so a resumed run keeps the prompts of every pass
+  async savePrompts(promptLog) {
+    const saved = (await this.load('prompts')) || [];
+    await this.save('prompts', [...saved, ...promptLog.entries()]);
+  }
+
+  async complete(result) {
+    result.metadata = { ...(result.metadata || {}), runId: this.runId, runPath: this.runPath };
+    await this.save('outputs', result);
+    await this.updateStatus({
+      status: 'completed',
+      error: null,
+      failedStep: null,
+      llmUsage: await this.usageSoFar(result.metadata.llmUsage),
+      ...(result.metadata.templates && {
+        templates: result.metadata.templates.map(({ id, version, hash }) => ({ id, version, hash }))
+      })
+    });
+    return result;
+  }
+
+  /**
+   * Mark the run failed and attach the partial result to the error as
+   * `error.partial`, so routes and jobs can return what was finished.
+   */
+  async fail(error) {
+    const segments = await this.loadSegments();
+    await this.updateStatus({
+      status: 'failed',
+      error: error.message,
+      failedStep: error.failedStep || null,
+      llmUsage: await this.usageSoFar()
+    });
+    error.partial = {
+      partial: true,
+      runId: this.runId,
+      runPath: this.runPath,
+      failedStep: error.failedStep || null,
+      segments,
+      resumeUrl: `/api/runs/${this.runId}/resume`
+    };
+    return error;
+  }
+}
+
+export function segmentStep(segmentNumber) {
+  return `segment_${String(segmentNumber).padStart(2, '0')}`;
+}
+
+/**
+ * Start a run. `method` names the generation entry point so the run can be
+ * resumed later; `files` are written immediately (e.g. { inputs: params }).
+ */
+export async function createRun(kind, method, files = {}) {
+  // Two runs started in the same millisecond must not share a directory
+  const run = new Run(kind, `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`);
+  await fs.mkdir(run.dir, { recursive: true });
+  await run.updateStatus({ kind, method, status: 'running', createdAt: new Date().toISOString() });
+
+  for (const [name, data] of Object.entries(files)) {
+    await run.save(name, data);
+  }
+  return run;
+}
+
+// Find a run by id under any kind; resolves to null when it does not exist
+export async function openRun(runId) {
+  if (!/^[\w-]+$/.test(runId)) return null;
+
+  const kinds = await fs.readdir(runsRoot).catch(() => []);
+  for (const kind of kinds) {
+    const run = new Run(kind, runId);
+    if (await run.load('run')) return run;
+  }
+  return null;
+}
+
+/**
+ * Mark runs a previous server process left `running` as `interrupted`, so
+ * they can be resumed. Called once at startup, before any run is active.
+ */
+export async function markInterruptedRuns() {
+  let count = 0;
+  const kinds = await fs.readdir(runsRoot).catch(() => []);
+  for (const kind of kinds) {
+    const runIds = await fs.readdir(path.join(runsRoot, kind)).catch(() => []);
+    for (const runId of runIds) {
+      const run = new Run(kind, runId);
+      const status = await run.load('run').catch(() => undefined);
+      if (status?.status === 'running') {
+        await run.updateStatus({ status: 'interrupted' });
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Persisted step: returns the saved value of `name` if the run already has
+ * it, otherwise produces, saves and returns it. Without a run it only produces.
+ * A failing step is recorded on the error as `failedStep`.
+ */
+export async function checkpoint(run, name, produce) {
+  if (run) {
+    const saved = await run.load(name);
+    if (saved !== undefined) {
+      console.log(`[Runs] Reusing ${name} from ${run.runPath}`);
+      return saved;
+    }
+  }
+
+  let value;
+  try {
+    value = await produce();
+  } catch (error) {
+    error.failedStep = error.failedStep || name;
+    throw error;
+  }
+
+  if (run) await run.save(name, value);
+  return value;
+}
+
+/**
+ * Run `produce(run)` and record the outcome: outputs.json on success,
+ * a failed status plus `error.partial` on failure.
+ */
+export async function withRun(run, produce) {
+  let result;
+  try {
+    result = await produce(run);
+  } catch (error) {
+    throw await run.fail(error);
+  }
+  return run.complete(result);
+}
@@ -0,0 +1,98 @@
+// Inline script directives such as "[location: kitchen] [camera: slow-push]".
+// Directives are stripped from the spoken dialogue and applied as overrides
+// to the segment they appear in. Bracketed text with any other key, e.g.
+// "[Note: limited offer]", is dialogue and stays in the script.
+
+const DIRECTIVE = /\[\s*([a-z][a-z _-]*?)\s*:\s*([^\]\n]+?)\s*\]/gi;
+
+// Keys after normalizeDirectiveKey(); the segment generators read these
+export const DIRECTIVE_KEYS = ['location', 'camera', 'energy', 'emotion', 'product'];
+
+const PUNCTUATION = /^[.,!?;:]/;
+
+const KEY_ALIASES = {
+  loc: 'location',
+  room: 'location',
+  setting: 'location',
+  cam: 'camera',
+  shot: 'camera',
+  'camera-style': 'camera',
+  mood: 'emotion',
+  tone: 'emotion',
+  'product-interaction': 'product',
+  'product-action': 'product',
+  prop: 'product'
+};
+
+export function normalizeDirectiveKey(key = '') {
+  const normalized = key.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return KEY_ALIASES[normalized] || normalized;
+}
+
+export function formatDirective({ key, value }) {
+  return `[${key}: ${value}]`;
+}
+
+function wordsIn(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Remove directives from text. Each directive is returned with the index of
+ * the (whitespace-delimited) word it precedes in the cleaned text.
+ * A line holding only directives is removed with its line break so it does
+ * not turn into a blank-line segment marker.
+ */
+export function extractDirectives(text = '') {
+  const marks = [];
+  let clean = '';
+  let last = 0;
+
+  for (const match of text.matchAll(DIRECTIVE)) {
+    const key = normalizeDirectiveKey(match[1]);
+    if (!DIRECTIVE_KEYS.includes(key)) continue;
+
+    clean += text.slice(last, match.index);
+    last = match.index + match[0].length;
+
+    const lineSoFar = clean.slice(clean.lastIndexOf('\n') + 1);
+    const next = text.slice(last);
+    const rest = next.match(/^[^\S\n]*(\n|$)/);
+    // Punctuation right after a directive closes the word before it
+    const closesWord = PUNCTUATION.test(next) && /\S/.test(clean);
+    if (!lineSoFar.trim() && rest) {
+      last += rest[0].length;
+      clean = clean.slice(0, clean.length - lineSoFar.length);
+    } else if (closesWord || (/[^\S\n]$/.test(clean) && /^[^\S\n]/.test(next))) {
+      clean = clean.replace(/[^\S\n]+$/, '');
+    } else if (/\S$/.test(clean) && /^\S/.test(next)) {
+      clean += ' ';
+    }
+
+    marks.push({
+      // A directive before punctuation belongs with the word the punctuation ends
+      wordIndex: closesWord ? wordsIn(clean) - 1 : wordsIn(clean),
+      key,
+      value: match[2].trim()
+    });
+  }
+
+  clean += text.slice(last);
+  return { text: clean, marks };
+}
+
+/**
+ * Collapse directive marks into a { key: value } map; later directives win.
+ */
+export function directivesToMap(marks = []) {
+  return marks.reduce((map, { key, value }) => ({ ...map, [key]: value }), {});
+}
+
+/**
+ * Echo the directives that shaped a segment in its segment_info for auditing.
+ */
+export function attachDirectives(segment, directives) {
+  if (!segment || !directives || Object.keys(directives).length === 0) return segment;
+  segment.segment_info = { ...(segment.segment_info || {}), directives };
+  return segment;
+}
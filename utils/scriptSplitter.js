@@ -0,0 +1,342 @@
+// Shared script splitter used by every generation route.
+// Splits a script into clip-sized chunks and estimates speaking time per chunk.
+
+import { segmentSentences, splitClauses, countWords, normalizeWhitespace } from './sentenceSegmenter.js';
+import { extractDirectives, directivesToMap, formatDirective } from './scriptDirectives.js';
+
+export const DEFAULT_SPLIT_OPTIONS = {
+  wordsPerMinute: 150,
+  clipSeconds: 8
+};
+
+// A blank line or "||" marks a cut the copywriter chose
+const BREAK_MARKER = /\s*\|\|\s*|[^\S\n]*\n[^\S\n]*\n\s*/;
+
+function toNumber(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+/**
+ * Resolve splitter options, deriving any missing word bounds from
+ * words-per-minute and clip length (150 wpm / 8s => 15 / 20 / 22 words).
+ */
+export function resolveSplitOptions(options = {}) {
+  const wordsPerMinute = toNumber(options.wordsPerMinute) || DEFAULT_SPLIT_OPTIONS.wordsPerMinute;
+  const clipSeconds = toNumber(options.clipSeconds) || DEFAULT_SPLIT_OPTIONS.clipSeconds;
+  const wordsPerSecond = wordsPerMinute / 60;
+
+  const targetWords = Math.round(toNumber(options.targetWords) || wordsPerSecond * clipSeconds);
+  const maxWords = Math.max(targetWords, Math.round(toNumber(options.maxWords) || targetWords + 2));
+  const minWords = Math.min(targetWords, Math.round(toNumber(options.minWords) || wordsPerSecond * clipSeconds * 0.75));
+
+  return {
+    wordsPerMinute,
+    clipSeconds,
+    minWords,
+    targetWords,
+    maxWords
+  };
+}
+
+function manualSegmentsFromRequest(body) {
+  if (!Array.isArray(body.scriptSegments)) return undefined;
+  const segments = body.scriptSegments.map(text => normalizeWhitespace(String(text ?? ''))).filter(Boolean);
+  return segments.length > 0 ? segments : undefined;
+}
+
+/**
+ * Pick splitter options out of a generate request body. An explicit
+ * `scriptSegments` array is kept as-is instead of being re-split.
+ */
+export function splitOptionsFromRequest(body = {}) {
+  return {
+    wordsPerMinute: body.wordsPerMinute,
+    clipSeconds: body.clipSeconds,
+    minWords: body.minWordsPerSegment,
+    targetWords: body.targetWordsPerSegment,
+    maxWords: body.maxWordsPerSegment,
+    segments: manualSegmentsFromRequest(body)
+  };
+}
+
+/**
+ * The script text of a generate request: the joined `scriptSegments` when
+ * the request is pre-segmented, otherwise `script`.
+ */
+export function scriptFromRequest(body = {}) {
+  const segments = manualSegmentsFromRequest(body);
+  if (segments) return segments.join(' ');
+  return typeof body.script === 'string' ? body.script.trim() : '';
+}
+
+export function hasBreakMarkers(script = '') {
+  return BREAK_MARKER.test(script.trim());
+}
+
+export function splitOnBreakMarkers(script = '') {
+  return script
+    .trim()
+    .split(new RegExp(BREAK_MARKER.source))
+    .map(normalizeWhitespace)
+    .filter(Boolean);
+}
+
+export function estimateSeconds(wordCount, wordsPerMinute = DEFAULT_SPLIT_OPTIONS.wordsPerMinute) {
+  return Math.round((wordCount / (wordsPerMinute / 60)) * 10) / 10;
+}
+
+/**
+ * Warnings for a chunk whose speaking time does not fit the clip well.
+ */
+export function timingWarnings(estimatedSeconds, { clipSeconds }) {
+  const warnings = [];
+  const minSeconds = Math.round(clipSeconds * 0.75 * 10) / 10;
+
+  if (estimatedSeconds < minSeconds) {
+    warnings.push(`Under ${minSeconds} seconds of speech; the clip may have dead air`);
+  } else if (estimatedSeconds > clipSeconds) {
+    warnings.push(`Over ${clipSeconds} seconds of speech; dialogue may be cut off`);
+  }
+
+  return warnings;
+}
+
+// Sentences longer than a clip are broken at dash/semicolon/colon clauses
+function toUnits(script, { maxWords }) {
+  return segmentSentences(script).flatMap(sentence =>
+    countWords(sentence) > maxWords ? splitClauses(sentence) : [sentence]
+  );
+}
+
+function unitsWordCount(units) {
+  return units.reduce((sum, unit) => sum + countWords(unit), 0);
+}
+
+// Greedily join units until each chunk reaches the minimum word count,
+// never past the maximum; short leftovers are rebalanced afterwards
+function groupUnits(units, { minWords, maxWords }) {
+  const rawSegments = [];
+
+  for (let i = 0; i < units.length; i++) {
+    const current = [units[i]];
+
+    while (
+      unitsWordCount(current) < minWords &&
+      i + 1 < units.length &&
+      unitsWordCount(current) + countWords(units[i + 1]) <= maxWords
+    ) {
+      i++;
+      current.push(units[i]);
+    }
+
+    rawSegments.push(current);
+  }
+
+  return rawSegments;
+}
+
+function rebalanceShortSegments(rawSegments, { minWords, maxWords }) {
+  const finalSegments = [];
+
+  for (let i = 0; i < rawSegments.length; i++) {
+    const segment = rawSegments[i];
+    const wordCount = unitsWordCount(segment);
+
+    if (wordCount < minWords && i < rawSegments.length - 1) {
+      const nextSegment = rawSegments[i + 1];
+
+      // Borrow the first sentence of a long neighbour if it fits
+      if (unitsWordCount(nextSegment) > minWords && nextSegment.length > 1) {
+        if (wordCount + countWords(nextSegment[0]) <= maxWords) {
+          finalSegments.push([...segment, nextSegment[0]]);
+          rawSegments[i + 1] = nextSegment.slice(1);
+          continue;
+        }
+      }
+
+      const merged = [...segment, ...nextSegment];
+      if (unitsWordCount(merged) <= maxWords) {
+        finalSegments.push(merged);
+        i++;
+        continue;
+      }
+    }
+
+    finalSegments.push(segment);
+  }
+
+  // A short final chunk has no next neighbour; fold it into the previous one
+  if (finalSegments.length > 1) {
+    const last = finalSegments[finalSegments.length - 1];
+    const previous = finalSegments[finalSegments.length - 2];
+    if (unitsWordCount(last) < minWords && unitsWordCount(previous) + unitsWordCount(last) <= maxWords) {
+      finalSegments.splice(-2, 2, [...previous, ...last]);
+    }
+  }
+
+  return finalSegments.map(units => units.join(' '));
+}
+
+/**
+ * Throw if the segments do not reproduce the script word-for-word.
+ */
+export function assertNoTextDropped(script, texts) {
+  const expected = normalizeWhitespace(script);
+  const actual = normalizeWhitespace(texts.join(' '));
+
+  if (expected !== actual) {
+    throw new Error('Script splitting lost or altered text; refusing to continue with a partial script');
+  }
+}
+
+// Parse directives out of manual chunks; a chunk holding only directives
+// hands them on to the next chunk
+function parseManualChunks(chunks) {
+  const parsed = [];
+  let carried = [];
+
+  chunks.forEach((chunk) => {
+    const { text, marks } = extractDirectives(chunk);
+    const clean = normalizeWhitespace(text);
+
+    if (!clean) {
+      carried.push(...marks.map(mark => ({ ...mark, wordIndex: 0 })));
+      return;
+    }
+
+    parsed.push({ text: clean, marks: [...carried, ...marks] });
+    carried = [];
+  });
+
+  if (carried.length > 0 && parsed.length > 0) {
+    const last = parsed[parsed.length - 1];
+    const end = last.text.split(' ').length;
+    last.marks.push(...carried.map(mark => ({ ...mark, wordIndex: end })));
+  }
+
+  return parsed;
+}
+
+// Hand each directive to the segment holding the word it precedes,
+// re-indexed relative to that segment
+function assignMarks(marks, texts) {
+  let start = 0;
+
+  return texts.map((text, i) => {
+    const end = start + text.split(' ').length;
+    const isLast = i === texts.length - 1;
+    const own = marks
+      .filter(mark => mark.wordIndex >= start && (mark.wordIndex < end || isLast))
+      .map(mark => ({ ...mark, wordIndex: mark.wordIndex - start }));
+    start = end;
+    return own;
+  });
+}
+
+// Sentences of a segment with its directive tags put back in place, so cuts
+// moved in the preview carry directives along with the text
+function taggedSentences(text, marks) {
+  const sentences = segmentSentences(text);
+  if (marks.length === 0) return sentences;
+
+  let start = 0;
+  return sentences.map((sentence, i) => {
+    const words = sentence.split(' ');
+    const tagged = [];
+
+    words.forEach((word, w) => {
+      marks.filter(mark => mark.wordIndex === start + w).forEach(mark => tagged.push(formatDirective(mark)));
+      tagged.push(word);
+    });
+
+    start += words.length;
+    if (i === sentences.length - 1) {
+      marks.filter(mark => mark.wordIndex >= start).forEach(mark => tagged.push(formatDirective(mark)));
+    }
+
+    return tagged.join(' ');
+  });
+}
+
+/**
+ * Split a script into clip-sized segments. Manual boundaries (options.segments,
+ * or "||" / blank-line markers in the script) are kept as-is and only checked
+ * for timing. Inline directives ("[camera: slow-push]") are removed from the
+ * text and returned per segment.
+ *
+ * Returns { mode, segments: [{ text, wordCount, estimatedSeconds, warnings,
+ * directives, sentences }], spokenScript, options, totalWords, estimatedDuration }.
+ */
+export function splitScript(script, options = {}) {
+  const resolved = resolveSplitOptions(options);
+  const logPrefix = options.logPrefix || '[Splitter]';
+
+  console.log(`${logPrefix} Script splitting parameters:`, {
+    wordsPerMinute: resolved.wordsPerMinute,
+    clipSeconds: resolved.clipSeconds,
+    minWords: resolved.minWords,
+    targetWords: resolved.targetWords,
+    maxWords: resolved.maxWords
+  });
+
+  let mode = 'auto';
+  let texts;
+  let segmentMarks;
+
+  if (options.segments?.length || hasBreakMarkers(script)) {
+    mode = 'manual';
+    const chunks = options.segments?.length ? options.segments : splitOnBreakMarkers(script);
+    const parsed = parseManualChunks(chunks);
+    texts = parsed.map(chunk => chunk.text);
+    segmentMarks = parsed.map(chunk => chunk.marks);
+
+    if (!options.segments?.length) {
+      const unmarked = script.split(new RegExp(BREAK_MARKER.source, 'g')).join(' ');
+      assertNoTextDropped(extractDirectives(unmarked).text, texts);
+    }
+    console.log(`${logPrefix} Using ${texts.length} manual segment boundaries`);
+  } else {
+    const { text: spoken, marks } = extractDirectives(script);
+    texts = rebalanceShortSegments(groupUnits(toUnits(spoken, resolved), resolved), resolved);
+    assertNoTextDropped(spoken, texts);
+    segmentMarks = assignMarks(marks, texts);
+  }
+
+  const segments = texts.map((text, i) => {
+    const wordCount = countWords(text);
+    const estimatedSeconds = estimateSeconds(wordCount, resolved.wordsPerMinute);
+    return {
+      text,
+      wordCount,
+      estimatedSeconds,
+      warnings: timingWarnings(estimatedSeconds, resolved),
+      directives: directivesToMap(segmentMarks[i]),
+      sentences: taggedSentences(text, segmentMarks[i])
+    };
+  });
+
+  console.log(`${logPrefix} Final segment distribution:`);
+  segments.forEach((segment, i) => {
+    console.log(`  Segment ${i + 1}: ${segment.wordCount} words, ~${segment.estimatedSeconds}s speaking time`);
+    segment.warnings.forEach(warning => console.warn(`  ⚠️  Segment ${i + 1}: ${warning}`));
+  });
+
+  const totalWords = segments.reduce((sum, s) => sum + s.wordCount, 0);
+
+  return {
+    mode,
+    segments,
+    // The script as spoken: the request's script with directives and break
+    // markers removed. It is not rebuilt from the segments, so checks against
+    // it catch text the splitter dropped or changed.
+    spokenScript: script?.trim()
+      ? normalizeWhitespace(extractDirectives(script.split(new RegExp(BREAK_MARKER.source, 'g')).join(' ')).text)
+      : texts.join(' '),
+    options: resolved,
+    totalWords,
+    estimatedDuration: estimateSeconds(totalWords, resolved.wordsPerMinute)
+  };
+}
+
+export default splitScript;
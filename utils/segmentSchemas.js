@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const schemasDir = path.join(__dirname, '../schemas');
+
+// Server-side checks for generated segments. The schemas in schemas/ mirror
+// the instruction templates; a segment that fails is sent back to the model
+// with the errors, up to SEGMENT_REPAIR_ATTEMPTS times.
+
+export const SEGMENT_SCHEMAS = ['standard', 'enhanced', 'continuation-minimal', 'animal'];
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+export function countWords(text) {
+  return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+// Word minimums are how the templates size every description field
+ajv.addKeyword({
+  keyword: 'minWords',
+  type: 'string',
+  schemaType: 'number',
+  errors: true,
+  validate: function minWords(min, data) {
+    const count = countWords(data);
+    if (count >= min) return true;
+    minWords.errors = [{ keyword: 'minWords', message: `must have at least ${min} words (has ${count})`, params: { limit: min } }];
+    return false;
+  }
+});
+
+const schemas = Object.fromEntries(SEGMENT_SCHEMAS.map((name) => [
+  name,
+  JSON.parse(fs.readFileSync(path.join(schemasDir, `segment-${name}.json`), 'utf8'))
+]));
+const validators = Object.fromEntries(SEGMENT_SCHEMAS.map((name) => [name, ajv.compile(schemas[name])]));
+
+// Dotted paths of every field a schema requires, e.g. character_description.physical
+export function requiredFieldPaths(schemaName) {
+  const paths = [];
+  const walk = (node, prefix) => {
+    for (const field of node.required || []) {
+      const fieldPath = prefix ? `${prefix}.${field}` : field;
+      paths.push(fieldPath);
+      if (node.properties?.[field]) walk(node.properties[field], fieldPath);
+    }
+  };
+  walk(schemas[schemaName], '');
+  return paths;
+}
+
+// Fields a custom template requires beyond its schema, as dotted paths
+function missingFieldErrors(segment, schema, requiredFields) {
+  const schemaFields = requiredFieldPaths(schema);
+  return requiredFields
+    .filter(fieldPath => !schemaFields.includes(fieldPath))
+    .filter(fieldPath => fieldPath.split('.').reduce((value, key) => value?.[key], segment) === undefined)
+    .map(fieldPath => `/${fieldPath.replace(/\./g, '/')} is required by the template`);
+}
+
+/**
+ * Schema for a segment generated with these params: animal avatars have
+ * their own structure, otherwise the JSON format decides.
+ */
+export function segmentSchemaFor(params) {
+  if (params.avatarMode === 'animal') return 'animal';
+  return params.jsonFormat === 'enhanced' ? 'enhanced' : 'standard';
+}
+
+/**
+ * Validate one segment; returns { valid, errors } where each error is a
+ * readable "path message" line that can be shown to the model.
+ * `requiredFields` adds a custom template's required paths to the schema's.
+ */
+export function validateSegment(segment, schema, requiredFields = []) {
+  const validate = validators[schema];
+  if (!validate) throw new Error(`Unknown segment schema: ${schema}`);
+
+  const errors = validate(segment) ? [] : validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+  errors.push(...missingFieldErrors(segment, schema, requiredFields));
+  return { valid: errors.length === 0, errors };
+}
+
+function repairAttempts() {
+  const attempts = parseInt(process.env.SEGMENT_REPAIR_ATTEMPTS ?? DEFAULT_REPAIR_ATTEMPTS, 10);
+  return Number.isFinite(attempts) && attempts >= 0 ? attempts : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+function repairPrompt(schema, errors) {
+  return `The JSON you returned does not pass the ${schema} segment schema:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the complete corrected JSON object. Keep every field that passed exactly as it was; add the missing fields and expand the descriptions that are below their word minimum.`;
+}
+
+/**
+ * Chat completion for one segment, validated against `schema`. An invalid
+ * reply is sent back with the validation errors for another attempt; the
+ * last attempt is returned even if it still fails, with the report.
+ * Resolves to { segment, validation: { schema, valid, attempts, errors } }.
+ */
+export async function requestValidSegment(llm, request, { step = 'segment', schema, requiredFields, settings, logPrefix = '[Schemas]' }) {
+  const messages = [...request.messages];
+  const maxAttempts = repairAttempts() + 1;
+  let segment = null;
+  let result;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await llm.chat(step, { ...request, messages }, settings);
+    const content = response.choices[0].message.content;
+
+    try {
+      segment = JSON.parse(content);
+      result = validateSegment(segment, schema, requiredFields);
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      result = { valid: false, errors: [`/ is not valid JSON (${error.message})`] };
+    }
+
+    if (result.valid || attempt === maxAttempts) {
+      if (!result.valid) {
+        console.warn(`${logPrefix} Segment still fails the ${schema} schema after ${attempt} attempts:`, result.errors);
+      }
+      if (!segment) throw new Error(`Model did not return valid JSON after ${attempt} attempts`);
+      return { segment, validation: { schema, attempts: attempt, ...result } };
+    }
+
+    console.log(`${logPrefix} Segment fails the ${schema} schema (${result.errors.length} errors), asking for a repair`);
+    messages.push({ role: 'assistant', content }, { role: 'user', content: repairPrompt(schema, result.errors) });
+  }
+}
+
+/**
+ * Collects per-segment validation during a generation run and builds the
+ * report for `metadata.validation`. Final segments are checked again, so the
+ * report reflects what is returned (including segments reused on resume).
+ * `schemaFor` is a schema name or a function of the segment index;
+ * `requiredFields` are a custom template's extra required paths.
+ */
+export function createValidationLog(schemaFor, requiredFields = []) {
+  const attempts = {};
+  const schemaAt = (index) => (typeof schemaFor === 'function' ? schemaFor(index) : schemaFor);
+
+  return {
+    record(segmentNumber, validation) {
+      attempts[segmentNumber] = validation.attempts;
+    },
+
+    report(segments) {
+      const results = segments.map((segment, index) => {
+        const segmentNumber = index + 1;
+        const schema = schemaAt(index);
+        return {
+          segmentNumber,
+          schema,
+          ...(attempts[segmentNumber] && { attempts: attempts[segmentNumber] }),
+          ...validateSegment(segment, schema, requiredFields)
+        };
+      });
+
+      return {
+        valid: results.every(result => result.valid),
+        repaired: results.filter(result => result.valid && result.attempts > 1).length,
+        invalidSegments: results.filter(result => !result.valid).map(result => result.segmentNumber),
+        segments: results
+      };
+    }
+  };
+}
@@ -0,0 +1,138 @@
+// Tokenizer-based sentence boundary detection for UGC scripts.
+// Handles abbreviations ("Dr.", "U.S."), prices and decimals ("$19.99", "3.5%"),
+// ellipses, em-dashes and line breaks, and never drops text.
+
+// Lowercased, without the trailing period
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'mx', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'ft', 'rev', 'gen', 'sgt', 'capt', 'lt', 'col',
+  'vs', 'etc', 'e.g', 'i.e', 'cf', 'approx', 'est', 'no', 'nos', 'vol', 'fig', 'dept', 'ave', 'blvd', 'rd',
+  'inc', 'ltd', 'co', 'corp', 'llc', 'bros',
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  'mon', 'tue', 'tues', 'wed', 'thu', 'thur', 'thurs', 'fri', 'sat', 'sun',
+  'a.m', 'p.m', 'u.s', 'u.k', 'u.s.a', 'd.c', 'ph.d', 'm.d',
+  'oz', 'lb', 'lbs', 'mg', 'mcg', 'ml', 'hr', 'hrs', 'min', 'mins', 'sec', 'secs', 'pt', 'qt', 'tbsp', 'tsp'
+]);
+
+const CLOSING_CHARS = `"'”’)]}»`;
+const OPENING_CHARS = `"'“‘([{«¿¡`;
+
+function stripClosing(word) {
+  let end = word.length;
+  while (end > 0 && CLOSING_CHARS.includes(word[end - 1])) end--;
+  return word.slice(0, end);
+}
+
+function stripOpening(word) {
+  let start = 0;
+  while (start < word.length && OPENING_CHARS.includes(word[start])) start++;
+  return word.slice(start);
+}
+
+function isAbbreviation(word) {
+  const bare = stripOpening(stripClosing(word));
+  if (!bare.endsWith('.')) return false;
+
+  const stem = bare.slice(0, -1).toLowerCase();
+  if (ABBREVIATIONS.has(stem)) return true;
+
+  // Single initials ("J.") and dotted initialisms ("U.S.", "F.D.A.")
+  return /^[a-z](\.[a-z])*$/i.test(stem);
+}
+
+function startsSentence(word) {
+  const bare = stripOpening(word);
+  if (bare.length < word.length) return true;
+  return /^[A-Z0-9$€£]/.test(bare);
+}
+
+function isBoundary(word, nextWord) {
+  const bare = stripClosing(word);
+
+  if (/[!?]$/.test(bare)) return true;
+
+  // Ellipses only end a sentence when the next word starts a new one
+  if (/(\.\.\.|…)$/.test(bare)) {
+    return !nextWord || startsSentence(nextWord);
+  }
+
+  if (!bare.endsWith('.')) return false;
+  if (!nextWord) return true;
+  if (isAbbreviation(word)) return false;
+
+  return startsSentence(nextWord);
+}
+
+/**
+ * Count spoken words. Em-dash-joined words count separately; bare punctuation
+ * does not count; "$19.99" and "3.5%" count as one word each.
+ */
+export function countWords(text = '') {
+  return text
+    .split(/\s+|[—–]|--/)
+    .filter(token => /[\p{L}\p{N}]/u.test(token))
+    .length;
+}
+
+export function normalizeWhitespace(text = '') {
+  return text.split(/\s+/).filter(Boolean).join(' ');
+}
+
+/**
+ * Split text into sentences. Line breaks always end a sentence, so scripts
+ * written one line per thought (or missing final punctuation) keep every word.
+ * Joining the result with single spaces reproduces the whitespace-normalized input.
+ */
+export function segmentSentences(text = '') {
+  const tokens = text.match(/\S+|\s+/g) || [];
+  const sentences = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length > 0) {
+      sentences.push(current.join(' '));
+      current = [];
+    }
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (/^\s+$/.test(token)) {
+      if (token.includes('\n')) flush();
+      continue;
+    }
+
+    current.push(token);
+
+    // Tokens alternate between words and whitespace
+    const nextWord = /^\s/.test(tokens[i + 1] || '') ? tokens[i + 2] : tokens[i + 1];
+    if (isBoundary(token, nextWord)) flush();
+  }
+
+  flush();
+  return sentences;
+}
+
+/**
+ * Split one sentence at clause boundaries: dashes, semicolons and colons that
+ * are followed by a space. Used to break sentences too long for a single clip.
+ */
+export function splitClauses(sentence = '') {
+  const words = sentence.split(' ').filter(Boolean);
+  const clauses = [];
+  let current = [];
+
+  words.forEach((word, i) => {
+    current.push(word);
+
+    // "word — word" and "word; word": the mark stays with the preceding clause
+    const endsClause = /([;:—–]|--)$/.test(stripClosing(word));
+    if (endsClause && i < words.length - 1) {
+      clauses.push(current.join(' '));
+      current = [];
+    }
+  });
+
+  if (current.length > 0) clauses.push(current.join(' '));
+  return clauses;
+}
@@ -0,0 +1,98 @@
+import { characterGuidance } from './characterGuidance.js';
+import { describeHandoff } from './continuity.js';
+
+// {{name}} and {{#if name}}...{{else}}...{{/if}} (blocks do not nest)
+const VARIABLE = /\{\{\s*(?!else\s*\}\})(\w+)\s*\}\}/g;
+const IF_BLOCK = /\{\{#if\s+(\w+)\s*\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g;
+
+// How the segment starts: its planned handoff, the end of the previous segment, or neither
+function continuityNotes(params) {
+  if (params.handoff) return describeHandoff(params.handoff);
+  if (!params.previousSegment) return 'This is the opening segment.';
+  const position = params.previousSegment.action_timeline?.transition_prep
+    || params.previousSegment.segment_info?.continuity_markers?.end_position;
+  return `Previous segment ended with:\nPosition: ${position}`;
+}
+
+/**
+ * Values an instruction template can use, from the generation params of one
+ * call. Segment fields (location, emotion, dialogue, base descriptions,
+ * continuity, ...) are empty in calls that are not about a single segment,
+ * such as the base descriptions themselves. `extra` overrides values the
+ * caller computes itself, e.g. the energy.
+ */
+export function promptVariables(params, extra = {}) {
+  const base = params.baseDescriptions || {};
+  const segment = params.segmentNumber !== undefined;
+  return {
+    product: params.product,
+    style: params.style,
+    format: params.jsonFormat || 'standard',
+    ageRange: params.ageRange,
+    gender: params.gender,
+    avatarMode: params.avatarMode || 'human',
+    species: params.animal?.species,
+    voiceType: params.voiceType,
+    accentRegion: params.accentRegion,
+    narrativeStyle: params.narrativeStyle,
+    room: params.room,
+    timeOfDay: params.timeOfDay || 'morning',
+    location: params.currentLocation,
+    previousLocation: params.previousLocation,
+    nextLocation: params.nextLocation,
+    camera: params.camera || params.directives?.camera || params.cameraStyle || 'static-handheld',
+    energy: params.energy || params.energyLevel,
+    emotion: params.emotion || params.directives?.emotion,
+    productInteraction: params.productInteraction || params.directives?.product,
+    transition: params.transition,
+    segmentNumber: params.segmentNumber,
+    totalSegments: params.totalSegments,
+    dialogue: params.scriptPart,
+    // Flags for {{#if}} blocks
+    enhanced: params.jsonFormat === 'enhanced',
+    animal: params.avatarMode === 'animal',
+    backgroundLife: Boolean(params.backgroundLife),
+    animalVoiceStyle: params.animal?.voiceStyle || 'narrator',
+    anthropomorphic: params.animal?.anthropomorphic ? 'Yes' : 'No',
+    characterGuidance: characterGuidance(params),
+    movedFrom: params.previousLocation !== params.currentLocation ? params.previousLocation : null,
+    movingTo: params.nextLocation !== params.currentLocation ? params.nextLocation : null,
+    basePhysical: base.physical,
+    baseClothing: base.clothing,
+    baseVoice: base.voice,
+    baseEnvironment: base.environment,
+    baseProductHandling: params.baseDescriptions && (base.productHandling || 'Natural handling'),
+    baseAnimalPhysical: base.animal_physical,
+    baseAnimalBehavior: base.animal_behavior,
+    baseAnimalVoice: base.animal_voice,
+    baseLipSync: base.lip_sync_baseline,
+    continuity: segment ? continuityNotes(params) : null,
+    previousDialogue: params.previousSegment?.action_timeline?.dialogue,
+    voiceProfile: params.voiceProfile && JSON.stringify(params.voiceProfile, null, 2),
+    imageUrl: params.imageUrl,
+    ...extra
+  };
+}
+
+export const TEMPLATE_VARIABLES = Object.keys(promptVariables({}));
+
+// Variable names a template refers to, in order of first use
+export function templateVariableNames(text) {
+  const names = [...text.matchAll(IF_BLOCK), ...text.matchAll(VARIABLE)].map(match => match[1]);
+  return [...new Set(names)];
+}
+
+function present(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+/**
+ * Render a template: {{name}} becomes the variable's value, or nothing when
+ * it has none, and {{#if name}} keeps its body only when the variable has a
+ * value. Text without {{ }} is returned unchanged.
+ */
+export function renderTemplate(text, variables = {}) {
+  return text
+    .replace(IF_BLOCK, (match, name, body, otherwise = '') => (present(variables[name]) ? body : otherwise))
+    .replace(VARIABLE, (match, name) => (present(variables[name]) ? String(variables[name]) : ''));
+}